@@ -4,7 +4,13 @@ import os from 'os';
 import crypto from 'crypto';
 import logger from '../config/logger.js';
 import swiftDaemon from '../services/swift-daemon.js';
-import sendCache from '../services/send-cache.js';
+import sendQueue from '../services/send-queue.js';
+import addressBook from '../services/address-book.js';
+import attachmentUploads from '../services/attachment-uploads.js';
+import storageManager from '../services/storage-manager.js';
+import attachmentMetadata from '../services/attachment-metadata.js';
+import { invalidateContactsCache } from '../routes/contacts.js';
+import { findOrCreateChat, resolveChatGuid } from '../services/chat-creation.js';
 import { getFcmClientConfig } from '../services/fcm-config.js';
 import { getServerMetadata } from '../services/server-metadata.js';
 import {
@@ -17,12 +23,9 @@ import {
 } from '../utils/socket-response.js';
 import { toClientTimestamp, unixMsToAppleNs } from '../utils/dates.js';
 import { normalizeAttachment, resolveAttachmentPaths, getPrivateApiDir } from '../utils/attachments.js';
-import { toMessageResponse } from '../utils/messages.js';
-
-const VCF_PATH = path.resolve(process.cwd(), 'data', 'AddressBook.vcf');
-
-/** Absolute path so daemon on same Mac can read built attachment files */
-const CHUNKS_DIR = path.resolve(process.cwd(), 'data', 'attachment-chunks');
+import { toMessageResponse, toGroupActionResponse, GROUP_ITEM_TYPES, GROUP_ACTION_TYPES } from '../utils/messages.js';
+import { normalizeReaction } from '../utils/reactions.js';
+import { toUnreadState, toReadStatusPayload, findChatByGuid } from '../utils/chats.js';
 
 /** Official BlueBubbles private API dir (stable storage for outgoing attachments). */
 const PRIVATE_API_DIR = getPrivateApiDir();
@@ -30,28 +33,6 @@ try {
   fs.mkdirSync(PRIVATE_API_DIR, { recursive: true });
 } catch (_) {}
 
-/** Delay (ms) before deleting a sent attachment temp file so Messages.app can read it. Prevents "Not Delivered". */
-const ATTACHMENT_DELETE_DELAY_MS = (() => {
-  const raw = process.env.ATTACHMENT_DELETE_DELAY_MS;
-  const n = raw != null ? parseInt(String(raw), 10) : NaN;
-  // Default 10 minutes; allow override via env var
-  return Number.isFinite(n) && n >= 0 ? n : 10 * 60 * 1000;
-})();
-function scheduleAttachmentCleanup(filePath) {
-  if (!filePath || typeof filePath !== 'string') return;
-  // Never delete files stored in the official private API dir (Messages can reference them later).
-  try {
-    const resolved = path.resolve(filePath);
-    const privRoot = path.resolve(PRIVATE_API_DIR);
-    if (resolved === privRoot || resolved.startsWith(privRoot + path.sep)) return;
-  } catch (_) {}
-  setTimeout(() => {
-    try {
-      if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
-    } catch (_) {}
-  }, ATTACHMENT_DELETE_DELAY_MS);
-}
-
 function sanitizeAttachmentFilename(name) {
   const base = (name && typeof name === 'string') ? name.trim() : '';
   return base ? path.basename(base).replace(/[/\\]/g, '') || 'attachment' : 'attachment';
@@ -74,40 +55,6 @@ function moveToPrivateApi(srcPath, originalName = 'attachment') {
   }
 }
 
-const ensureVcfDir = () => {
-  const dir = path.dirname(VCF_PATH);
-  fs.mkdirSync(dir, { recursive: true });
-};
-
-/** Save one chunk for chunked attachment upload (official BlueBubbles: saveAttachmentChunk). */
-function saveAttachmentChunk(guid, chunkStart, buffer) {
-  const dir = path.join(CHUNKS_DIR, guid);
-  fs.mkdirSync(dir, { recursive: true });
-  fs.writeFileSync(path.join(dir, `${chunkStart}.chunk`), Buffer.from(buffer));
-}
-
-/** Build full file from chunks and return path (official BlueBubbles: buildAttachmentChunks). */
-function buildAttachmentChunks(guid, name) {
-  const dir = path.join(CHUNKS_DIR, guid);
-  if (!fs.existsSync(dir)) throw new Error('No chunks found');
-  const files = fs.readdirSync(dir).filter((f) => f.endsWith('.chunk'));
-  files.sort((a, b) => Number(a.split('.')[0]) - Number(b.split('.')[0]));
-  const buffers = files.map((f) => fs.readFileSync(path.join(dir, f)));
-  const outPath = path.join(dir, path.basename(String(name).replace(/[/\\]/g, '') || 'attachment'));
-  fs.writeFileSync(outPath, Buffer.concat(buffers));
-  return outPath;
-}
-
-/** Remove chunk directory after send. */
-function deleteChunks(guid) {
-  const dir = path.join(CHUNKS_DIR, guid);
-  if (fs.existsSync(dir)) {
-    try {
-      fs.rmSync(dir, { recursive: true });
-    } catch (_) {}
-  }
-}
-
 const toChatIdentifier = (guid) => {
   if (!guid) return '';
   return guid.includes(';') ? guid.slice(guid.lastIndexOf(';') + 1) : guid;
@@ -146,7 +93,8 @@ const toChatResponse = (chat) => {
     chatIdentifier: toChatIdentifier(chat.guid),
     isArchived: chat.isArchived || false,
     displayName: chat.displayName || toDisplayIdentifier(chat.guid),
-    groupId: ''
+    groupId: '',
+    ...toUnreadState(chat)
   };
 };
 
@@ -228,8 +176,10 @@ export const registerSocketEvents = (socket, socketManager) => {
       return respond(cb, 'error', createBadRequestResponse('No VCF data provided!'));
     }
     try {
-      ensureVcfDir();
-      fs.writeFileSync(VCF_PATH, params.vcf, 'utf8');
+      const contacts = addressBook.saveVcf(params.vcf);
+      invalidateContactsCache();
+      socketManager.broadcastGlobal('contacts_updated', { type: 'contacts_updated', action: 'imported', contactIds: [], timestamp: Date.now() });
+      logger.info(`save-vcf: stored uploaded address book (${contacts.length} contacts)`);
       return respond(cb, 'save-vcf', createSuccessResponse(null, 'Successfully saved VCF'));
     } catch (error) {
       return respond(cb, 'save-vcf', createServerErrorResponse(error.message));
@@ -238,10 +188,10 @@ export const registerSocketEvents = (socket, socketManager) => {
 
   socket.on('get-vcf', async (_, cb) => {
     try {
-      if (!fs.existsSync(VCF_PATH)) {
+      const vcf = addressBook.readVcf();
+      if (!vcf) {
         return respond(cb, 'save-vcf', createSuccessResponse(''));
       }
-      const vcf = fs.readFileSync(VCF_PATH, 'utf8');
       return respond(cb, 'save-vcf', createSuccessResponse(vcf, 'Successfully retrieved VCF'));
     } catch (error) {
       return respond(cb, 'save-vcf', createServerErrorResponse(error.message));
@@ -298,7 +248,7 @@ export const registerSocketEvents = (socket, socketManager) => {
     }
     try {
       const chats = await swiftDaemon.getChats();
-      const chat = chats.find(c => c.guid === chatGuid);
+      const chat = findChatByGuid(chats, chatGuid);
       if (!chat) {
         return respond(cb, 'error', createBadRequestResponse('Chat does not exist (get-chat)!'));
       }
@@ -333,7 +283,7 @@ export const registerSocketEvents = (socket, socketManager) => {
       return respond(cb, 'error', createBadRequestResponse('No `after` date or `limit` provided!'));
     }
     try {
-      const chatGuid = params?.chatGuid;
+      const chatGuid = await resolveChatGuid(params?.chatGuid);
       const limitRaw = parseOptionalNum(params?.limit);
       const limit = Math.min(Math.max(limitRaw != null ? Math.trunc(limitRaw) : 100, 1), 1000);
       const beforeAppleNs = clientTimeToAppleNs(params?.before);
@@ -360,16 +310,20 @@ export const registerSocketEvents = (socket, socketManager) => {
       return respond(cb, 'error', createBadRequestResponse('No attachment identifier provided'));
     }
     try {
-      const info = await swiftDaemon.getAttachmentInfo(params.identifier);
-      if (!info) return respond(cb, 'error', createBadRequestResponse('Attachment does not exist'));
-      const meta = normalizeAttachment(info);
+      const daemonInfo = await swiftDaemon.getAttachmentInfo(params.identifier);
+      if (!daemonInfo) return respond(cb, 'error', createBadRequestResponse('Attachment does not exist'));
       let data = null;
       try {
         const buf = await swiftDaemon.getAttachmentBuffer(params.identifier);
+        if (!attachmentMetadata.get(params.identifier)) {
+          attachmentMetadata.recordDownload(params.identifier, buf, { totalBytes: buf.length });
+        }
         data = buf.toString('base64');
       } catch (e) {
         logger.warn('[socket get-attachment] could not load data for %s: %s', params.identifier, e?.message);
       }
+      const info = attachmentMetadata.enrich(daemonInfo);
+      const meta = normalizeAttachment(info);
       const res = {
         ...meta,
         transferState: 0,
@@ -377,7 +331,7 @@ export const registerSocketEvents = (socket, socketManager) => {
         hideAttachment: false,
         isSticker: false,
         originalGuid: meta?.guid ?? info?.originalGuid ?? null,
-        hasLivePhoto: false,
+        hasLivePhoto: await swiftDaemon.hasLivePhoto(params.identifier, info),
         data
       };
       if (params?.withMessages) res.messages = [];
@@ -440,9 +394,12 @@ export const registerSocketEvents = (socket, socketManager) => {
   });
 
   socket.on('send-message', async (params, cb) => {
-    const chatGuid = params?.guid;
+    const chatGuid = await resolveChatGuid(params?.guid);
     const tempGuid = params?.tempGuid;
     const message = params?.message;
+    // Inline reply: thread onto selectedMessageGuid (part partIndex)
+    const selectedMessageGuid = params?.selectedMessageGuid || null;
+    const partIndex = selectedMessageGuid ? (parseOptionalNum(params?.partIndex) ?? 0) : undefined;
     const hasInlineAttachment = !!(params?.attachment && params?.attachmentName && params?.attachmentGuid);
     let attachmentPaths = Array.isArray(params?.attachmentPaths) ? params.attachmentPaths.filter(Boolean) : [];
     logger.info(`[socket send-message] chatGuid=${chatGuid ?? '(missing)'} tempGuid=${tempGuid ?? '(missing)'} textLen=${(message || '').length} attachmentPaths=${attachmentPaths.length} inlineAttachment=${hasInlineAttachment}`);
@@ -458,7 +415,7 @@ export const registerSocketEvents = (socket, socketManager) => {
     if ((message || '').trim() === '' && attachmentPaths.length === 0 && !hasInlineAttachment) {
       return respond(cb, 'error', createBadRequestResponse('Message text or attachmentPaths required'));
     }
-    if (sendCache.find(tempGuid)) {
+    if (sendQueue.isPending(tempGuid)) {
       return respond(
         cb,
         'error',
@@ -475,6 +432,7 @@ export const registerSocketEvents = (socket, socketManager) => {
         const name = sanitizeAttachmentFilename(params.attachmentName || 'attachment');
         tempAttachmentPath = path.join(dir, name);
         fs.writeFileSync(tempAttachmentPath, buf);
+        storageManager.track(tempAttachmentPath, { kind: 'inline' });
         attachmentPaths = [tempAttachmentPath];
         logger.info('[socket send-message] saved inline attachment to %s', tempAttachmentPath);
       } catch (e) {
@@ -484,11 +442,16 @@ export const registerSocketEvents = (socket, socketManager) => {
     } else {
       attachmentPaths = resolveAttachmentPaths(attachmentPaths);
     }
-    sendCache.add(tempGuid);
     try {
-      const result = await swiftDaemon.sendMessage(chatGuid, message || '', {
-        attachmentPaths: attachmentPaths.length ? attachmentPaths : undefined,
-        tempGuid
+      const result = await sendQueue.send({
+        tempGuid,
+        chatGuid,
+        text: message || '',
+        opts: {
+          attachmentPaths: attachmentPaths.length ? attachmentPaths : undefined,
+          selectedMessageGuid: selectedMessageGuid || undefined,
+          partIndex
+        }
       });
       const sentMessage = {
         guid: result?.guid || tempGuid,
@@ -497,7 +460,9 @@ export const registerSocketEvents = (socket, socketManager) => {
         dateCreated: result?.dateCreated ?? Date.now(),
         isFromMe: true,
         type: 'text',
-        error: 0
+        error: 0,
+        threadOriginatorGuid: result?.threadOriginatorGuid ?? selectedMessageGuid ?? null,
+        threadOriginatorPart: result?.threadOriginatorPart ?? partIndex
       };
       const msg = toMessageResponse(
         {
@@ -508,14 +473,10 @@ export const registerSocketEvents = (socket, socketManager) => {
       );
       msg.tempGuid = tempGuid;
       msg.guid = sentMessage.guid;
-      sendCache.remove(tempGuid);
-      if (tempAttachmentPath) scheduleAttachmentCleanup(tempAttachmentPath);
       logger.info(`[send-message] Success chatGuid=${chatGuid} tempGuid=${tempGuid} guid=${sentMessage.guid}`);
       socketManager.broadcastToChat(chatGuid, 'message.created', msg);
       return respond(cb, 'message-sent', createSuccessResponse(msg));
     } catch (error) {
-      sendCache.remove(tempGuid);
-      if (tempAttachmentPath) try { fs.unlinkSync(tempAttachmentPath); } catch (_) {}
       logger.error(`[send-message] Failed chatGuid=${chatGuid} tempGuid=${tempGuid} error=${error?.message ?? error}`);
       const errorData = {
         ...toMessageResponse(
@@ -546,7 +507,7 @@ export const registerSocketEvents = (socket, socketManager) => {
   });
 
   socket.on('send-message-chunk', async (params, cb) => {
-    const chatGuid = params?.guid;
+    const chatGuid = await resolveChatGuid(params?.guid);
     const tempGuid = params?.tempGuid;
     const message = params?.message;
     const attachmentGuid = params?.attachmentGuid;
@@ -554,20 +515,31 @@ export const registerSocketEvents = (socket, socketManager) => {
     const attachmentData = params?.attachmentData;
     const hasMore = params?.hasMore;
     const attachmentName = params?.attachmentName;
+    // Optional (bridge extension): lets the bridge verify chunks and the finished file
+    const attachmentTotalBytes = params?.attachmentTotalBytes;
+    const attachmentChunkHash = params?.attachmentChunkHash;
+    const attachmentHash = params?.attachmentHash;
 
     logger.info('[socket send-message-chunk] chatGuid=%s tempGuid=%s hasMore=%s attachmentGuid=%s', chatGuid ?? '(none)', tempGuid ?? '(none)', hasMore, attachmentGuid ?? '(none)');
 
     if (!chatGuid) return respond(cb, 'error', createBadRequestResponse('No chat GUID provided'));
     if (!tempGuid) return respond(cb, 'error', createBadRequestResponse('No temporary GUID provided'));
 
-    if (sendCache.find(tempGuid)) {
+    if (sendQueue.isPending(tempGuid)) {
       return respond(cb, 'error', createBadRequestResponse('Attachment is already queued to be sent!'));
     }
 
+    let uploadStatus = null;
     if (attachmentGuid && attachmentData != null) {
       try {
         const buf = Buffer.from(attachmentData, 'base64');
-        saveAttachmentChunk(attachmentGuid, attachmentChunkStart ?? 0, buf);
+        const { value, error } = attachmentUploads.saveChunk(attachmentGuid, attachmentChunkStart ?? 0, buf, {
+          chunkSha256: attachmentChunkHash,
+          totalBytes: attachmentTotalBytes,
+          sha256: attachmentHash
+        });
+        if (error) return respond(cb, 'error', createBadRequestResponse(error));
+        uploadStatus = value;
       } catch (e) {
         logger.error('[send-message-chunk] save chunk failed: %s', e?.message);
         return respond(cb, 'error', createServerErrorResponse('Failed to save attachment chunk'));
@@ -578,28 +550,33 @@ export const registerSocketEvents = (socket, socketManager) => {
       if (attachmentGuid && !attachmentName) {
         return respond(cb, 'error', createBadRequestResponse('No attachment name provided'));
       }
-      try {
-        fs.mkdirSync(CHUNKS_DIR, { recursive: true });
-      } catch (_) {}
 
-      sendCache.add(tempGuid);
       let builtPath = null;
       if (attachmentGuid && attachmentName) {
         try {
-          builtPath = buildAttachmentChunks(attachmentGuid, attachmentName);
+          const { value, error, status } = attachmentUploads.buildUpload(attachmentGuid, attachmentName);
+          if (error) {
+            logger.warn(`[send-message-chunk] cannot build ${attachmentGuid}: ${error}`);
+            // Incomplete uploads come back with their status so the client can send the missing ranges
+            const response = createBadRequestResponse(error);
+            if (status) response.data = status;
+            return respond(cb, 'error', response);
+          }
           // Move final built file into the official private API directory so it stays accessible for previews/downloads.
-          builtPath = moveToPrivateApi(builtPath, attachmentName);
+          builtPath = moveToPrivateApi(value, attachmentName);
+          storageManager.track(builtPath, { kind: 'chunked' });
         } catch (e) {
-          sendCache.remove(tempGuid);
-          logger.error('[send-message-chunk] buildAttachmentChunks failed: %s', e?.message);
+          logger.error('[send-message-chunk] buildUpload failed: %s', e?.message);
           return respond(cb, 'error', createServerErrorResponse('Failed to build attachment from chunks'));
         }
       }
 
       try {
-        const result = await swiftDaemon.sendMessage(chatGuid, message ?? '', {
-          attachmentPaths: builtPath ? [builtPath] : undefined,
-          tempGuid
+        const result = await sendQueue.send({
+          tempGuid,
+          chatGuid,
+          text: message ?? '',
+          opts: { attachmentPaths: builtPath ? [builtPath] : undefined }
         });
         const sentMessage = {
           guid: result?.guid || tempGuid,
@@ -616,43 +593,200 @@ export const registerSocketEvents = (socket, socketManager) => {
         );
         msg.tempGuid = tempGuid;
         msg.guid = sentMessage.guid;
-        sendCache.remove(tempGuid);
-        if (attachmentGuid) deleteChunks(attachmentGuid);
+        if (attachmentGuid) attachmentUploads.deleteUpload(attachmentGuid);
         logger.info('[send-message-chunk] Success chatGuid=%s tempGuid=%s', chatGuid, tempGuid);
         socketManager.broadcastToChat(chatGuid, 'message.created', msg);
         return respond(cb, 'message-sent', createSuccessResponse(null));
       } catch (error) {
-        sendCache.remove(tempGuid);
-        if (attachmentGuid) deleteChunks(attachmentGuid);
-        if (builtPath) {
-          try { fs.unlinkSync(builtPath); } catch (_) {}
-        }
+        if (attachmentGuid) attachmentUploads.deleteUpload(attachmentGuid);
         logger.error('[send-message-chunk] send failed: %s', error?.message ?? error);
         return respond(cb, 'send-message-error', createServerErrorResponse(error?.message ?? 'Send failed'));
       }
     }
 
-    return respond(cb, 'message-chunk-saved', createSuccessResponse(null));
+    return respond(cb, 'message-chunk-saved', createSuccessResponse(uploadStatus));
+  });
+
+  // Bridge extension: which byte ranges of a chunked upload are stored, so a client can resume after a disconnect
+  socket.on('get-attachment-upload', (params, cb) => {
+    if (!params?.attachmentGuid) {
+      return respond(cb, 'error', createBadRequestResponse('No attachment GUID provided'));
+    }
+    try {
+      const status = attachmentUploads.getUploadStatus(params.attachmentGuid);
+      if (!status) return respond(cb, 'attachment-upload', createNoDataResponse());
+      return respond(cb, 'attachment-upload', createSuccessResponse(status));
+    } catch (error) {
+      return respond(cb, 'error', createBadRequestResponse(error.message));
+    }
   });
 
   socket.on('start-chat', async (params, cb) => {
-    return respond(cb, 'start-chat-failed', createServerErrorResponse('Chat creation not supported'));
+    const participants = params?.participants ?? params?.addresses;
+    if (!Array.isArray(participants) || participants.length === 0) {
+      return respond(cb, 'start-chat-failed', createBadRequestResponse('No participants specified'));
+    }
+    try {
+      const { chat, created, sent, sendError } = await findOrCreateChat({
+        addresses: participants,
+        service: params?.service,
+        message: params?.message,
+        tempGuid: params?.tempGuid,
+        subject: params?.subject
+      });
+      const result = toChatResponse(chat);
+      if (created) socketManager.broadcastGlobal('new-chat', result);
+      const text = params?.message != null ? String(params.message).trim() : '';
+      if (sendError) {
+        // The chat exists either way; report the failed first message with the chat (error 4 like send-message)
+        const errorMessage = {
+          ...toMessageResponse({ guid: null, text, chatGuid: chat.guid, dateCreated: Date.now(), isFromMe: true, error: 4 }, chat.guid),
+          tempGuid: params?.tempGuid ?? null,
+          error: 4
+        };
+        return respond(cb, 'chat-started', createServerErrorResponse(
+          sendError.message,
+          ErrorTypes.IMESSAGE_ERROR,
+          'Chat started, but the message failed to send!',
+          { ...result, messages: [errorMessage] }
+        ));
+      }
+      if (sent) {
+        const msg = toMessageResponse(
+          {
+            guid: sent.guid || params?.tempGuid,
+            text,
+            chatGuid: chat.guid,
+            dateCreated: toClientTimestamp(sent.dateCreated ?? Date.now()) ?? Date.now(),
+            isFromMe: true,
+            type: 'text',
+            error: 0
+          },
+          chat.guid
+        );
+        if (params?.tempGuid) msg.tempGuid = params.tempGuid;
+        socketManager.broadcastToChat(chat.guid, 'message.created', msg);
+        result.messages = [msg];
+      }
+      return respond(cb, 'chat-started', createSuccessResponse(result));
+    } catch (error) {
+      const response = error.status === 400
+        ? createBadRequestResponse(error.message)
+        : createServerErrorResponse(error.message);
+      return respond(cb, 'start-chat-failed', response);
+    }
   });
 
   socket.on('rename-group', async (params, cb) => {
-    return respond(cb, 'rename-group-error', createServerErrorResponse('Group rename not supported'));
+    const chatGuid = params?.identifier;
+    const newName = params?.newName != null ? String(params.newName).trim() : '';
+    if (!chatGuid) {
+      return respond(cb, 'error', createBadRequestResponse('No chat identifier provided'));
+    }
+    if (!newName) {
+      return respond(cb, 'error', createBadRequestResponse('No new group name provided'));
+    }
+    try {
+      const updated = await swiftDaemon.renameGroup(chatGuid, newName);
+      if (!updated) {
+        return respond(cb, 'error', createBadRequestResponse('Chat does not exist (rename-group)!'));
+      }
+      const chat = toChatResponse({ ...updated, guid: updated.guid || chatGuid, displayName: newName });
+      socketManager.broadcastToChat(
+        chatGuid,
+        'group-name-change',
+        toGroupActionResponse(chatGuid, {
+          itemType: GROUP_ITEM_TYPES.NAME_CHANGE,
+          groupTitle: newName,
+          message: updated.message
+        }, [chat])
+      );
+      return respond(cb, 'group-renamed', createSuccessResponse(chat));
+    } catch (error) {
+      logger.error(`rename-group error: ${error.message}`);
+      return respond(cb, 'rename-group-error', createServerErrorResponse(error.message));
+    }
   });
 
-  socket.on('add-participant', async (params, cb) => {
-    return respond(cb, 'add-participant-error', createServerErrorResponse('Add participant not supported'));
-  });
+  const handleParticipantChange = async (action, params, cb) => {
+    const isAdd = action === 'add';
+    const chatGuid = params?.identifier;
+    const address = params?.address != null ? String(params.address).trim() : '';
+    if (!chatGuid) {
+      return respond(cb, 'error', createBadRequestResponse('No chat identifier provided'));
+    }
+    if (!address) {
+      return respond(cb, 'error', createBadRequestResponse('No participant address specified'));
+    }
+    try {
+      const updated = isAdd
+        ? await swiftDaemon.addParticipant(chatGuid, address)
+        : await swiftDaemon.removeParticipant(chatGuid, address);
+      if (!updated) {
+        return respond(cb, 'error', createBadRequestResponse(`Chat does not exist (${action}-participant)!`));
+      }
+      const chat = toChatResponse({ ...updated, guid: updated.guid || chatGuid });
+      socketManager.broadcastToChat(
+        chatGuid,
+        isAdd ? 'participant-added' : 'participant-removed',
+        toGroupActionResponse(chatGuid, {
+          itemType: GROUP_ITEM_TYPES.PARTICIPANT_CHANGE,
+          groupActionType: isAdd ? GROUP_ACTION_TYPES.ADDED : GROUP_ACTION_TYPES.REMOVED,
+          address,
+          message: updated.message
+        }, [chat])
+      );
+      return respond(cb, isAdd ? 'participant-added' : 'participant-removed', createSuccessResponse(chat));
+    } catch (error) {
+      logger.error(`${action}-participant error: ${error.message}`);
+      return respond(cb, `${action}-participant-error`, createServerErrorResponse(error.message));
+    }
+  };
 
-  socket.on('remove-participant', async (params, cb) => {
-    return respond(cb, 'remove-participant-error', createServerErrorResponse('Remove participant not supported'));
-  });
+  socket.on('add-participant', (params, cb) => handleParticipantChange('add', params, cb));
+
+  socket.on('remove-participant', (params, cb) => handleParticipantChange('remove', params, cb));
 
   socket.on('send-reaction', async (params, cb) => {
-    return respond(cb, 'send-tapback-error', createServerErrorResponse('Reactions not supported'));
+    // Official client sends the selected message as params.message (or actionMessage) and the tapback name.
+    const chatGuid = params?.chatGuid;
+    const selected = params?.message ?? params?.actionMessage ?? null;
+    const selectedMessageGuid = params?.selectedMessageGuid ?? selected?.guid ?? null;
+    const selectedMessageText = params?.selectedMessageText ?? selected?.text ?? undefined;
+    const reaction = normalizeReaction(params?.tapback ?? params?.reaction);
+    if (!chatGuid) {
+      return respond(cb, 'error', createBadRequestResponse('No chat GUID provided'));
+    }
+    if (!selectedMessageGuid) {
+      return respond(cb, 'error', createBadRequestResponse('No message provided!'));
+    }
+    if (!reaction) {
+      return respond(cb, 'error', createBadRequestResponse('Invalid tapback descriptor provided!'));
+    }
+    const partIndex = parseOptionalNum(params?.partIndex) ?? 0;
+    try {
+      const result = await swiftDaemon.sendReaction(chatGuid, selectedMessageGuid, reaction, {
+        partIndex,
+        selectedMessageText
+      });
+      const msg = toMessageResponse(
+        {
+          ...(result || {}),
+          guid: result?.guid ?? null,
+          text: result?.text ?? '',
+          isFromMe: true,
+          associatedMessageGuid: result?.associatedMessageGuid ?? selectedMessageGuid,
+          associatedMessageType: result?.associatedMessageType ?? reaction
+        },
+        chatGuid
+      );
+      logger.info(`[send-reaction] Success chatGuid=${chatGuid} message=${selectedMessageGuid} reaction=${reaction}`);
+      socketManager.broadcastToChat(chatGuid, 'message.created', msg);
+      return respond(cb, 'tapback-sent', createSuccessResponse(msg));
+    } catch (error) {
+      logger.error(`[send-reaction] Failed chatGuid=${chatGuid} error=${error?.message ?? error}`);
+      return respond(cb, 'send-tapback-error', createServerErrorResponse(error?.message ?? String(error)));
+    }
   });
 
   socket.on('get-contacts-from-vcf', async (_, cb) => {
@@ -673,7 +807,7 @@ export const registerSocketEvents = (socket, socketManager) => {
         ? params.extraProperties.split(',').map(s => s.trim()).filter(Boolean)
         : [];
     try {
-      const contactsList = await swiftDaemon.getContacts({ limit, offset, extraProperties: extraProps });
+      const contactsList = await addressBook.getContacts({ limit, offset, extraProperties: extraProps });
       return respond(cb, 'contacts', createSuccessResponse(contactsList || []));
     } catch (error) {
       return respond(cb, 'error', createServerErrorResponse(error.message));
@@ -689,7 +823,7 @@ export const registerSocketEvents = (socket, socketManager) => {
         ? params.extraProperties.split(',').map(s => s.trim()).filter(Boolean)
         : [];
     try {
-      const contactsList = await swiftDaemon.getContacts({ limit, offset, extraProperties: extraProps });
+      const contactsList = await addressBook.getContacts({ limit, offset, extraProperties: extraProps });
       return respond(cb, 'contacts', createSuccessResponse(contactsList || []));
     } catch (error) {
       return respond(cb, 'error', createServerErrorResponse(error.message));
@@ -705,19 +839,30 @@ export const registerSocketEvents = (socket, socketManager) => {
         ? params.extraProperties.split(',').map(s => s.trim()).filter(Boolean)
         : [];
     try {
-      const contactsList = await swiftDaemon.getContacts({ limit, offset, extraProperties: extraProps });
+      const contactsList = await addressBook.getContacts({ limit, offset, extraProperties: extraProps });
       return respond(cb, 'contacts', createSuccessResponse(contactsList || []));
     } catch (error) {
       return respond(cb, 'error', createServerErrorResponse(error.message));
     }
   });
 
-  socket.on('toggle-chat-read-status', (params) => {
-    if (!params?.chatGuid || params?.status === null) return;
-    socketManager.broadcastToChat(params.chatGuid, 'chat-read-status-changed', {
-      chatGuid: params.chatGuid,
-      status: params.status
-    });
+  // status: true = read, false = unread. The daemon updates the Mac; every client gets the resulting state.
+  socket.on('toggle-chat-read-status', async (params, cb) => {
+    if (!params?.chatGuid || params?.status == null) {
+      return respond(cb, 'error', createBadRequestResponse('No chat GUID or status provided!'));
+    }
+    const read = params.status === true || params.status === 'true' || params.status === 1;
+    try {
+      const updated = await swiftDaemon.setChatReadStatus(params.chatGuid, read);
+      if (!updated) {
+        return respond(cb, 'error', createBadRequestResponse('Chat does not exist!'));
+      }
+      const payload = toReadStatusPayload(params.chatGuid, updated, read);
+      socketManager.broadcastGlobal('chat-read-status-changed', payload);
+      return respond(cb, 'chat-read-status-changed', createSuccessResponse(payload));
+    } catch (error) {
+      return respond(cb, 'error', createServerErrorResponse(error.message));
+    }
   });
 
   socket.on('open-chat', () => {});
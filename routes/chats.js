@@ -1,13 +1,22 @@
 import express from 'express';
+import path from 'path';
+import os from 'os';
+import fs from 'fs';
+import multer from 'multer';
 import swiftDaemon from '../services/swift-daemon.js';
 import { optionalAuthenticateToken } from '../middleware/auth.js';
 import logger from '../config/logger.js';
 import { sendSuccess, sendError, sendBlueBubblesError, BLUEBUBBLES_ERROR_TYPES } from '../utils/envelope.js';
 import { toClientTimestamp } from '../utils/dates.js';
+import { toGroupActionResponse, GROUP_ITEM_TYPES, GROUP_ACTION_TYPES } from '../utils/messages.js';
+import { toUnreadState, toReadStatusPayload, findChatByGuid } from '../utils/chats.js';
+import { addressFromChatGuid } from '../utils/addresses.js';
+import { findOrCreateChat, resolveChatGuid, invalidateChatIndex } from '../services/chat-creation.js';
+import { etagFor, sendCachedBytes } from '../utils/http-cache.js';
 
 const router = express.Router();
 
-const parseWithQuery = (value) => {
+export const parseWithQuery = (value) => {
   if (!value) return [];
   if (Array.isArray(value)) return value.map(String);
   return String(value)
@@ -16,37 +25,15 @@ const parseWithQuery = (value) => {
     .filter(Boolean);
 };
 
-/** Extract address part from chat GUID (e.g. "iMessage;-;+123" -> "+123"). */
-const addressFromGuid = (guid) => {
-  if (!guid) return '';
-  const idx = guid.indexOf(';-;');
-  return idx >= 0 ? guid.slice(idx + 3).trim() : guid;
-};
-
-/** Find chat by exact guid or by matching address (handles + prefix mismatch). */
-const findChatByGuid = (chats, chatGuid) => {
-  let chat = chats.find(c => c.guid === chatGuid);
-  if (chat) return chat;
-  const wantAddr = addressFromGuid(chatGuid);
-  if (!wantAddr) return null;
-  const wantNorm = wantAddr.replace(/^\+/, '').toLowerCase();
-  return chats.find(c => {
-    const addr = addressFromGuid(c.guid || '');
-    if (!addr) return false;
-    const norm = addr.replace(/^\+/, '').toLowerCase();
-    return norm === wantNorm || addr.toLowerCase() === wantAddr.toLowerCase();
-  }) || null;
-};
-
 /** Clean identifier for display (never expose internal ";-;" in UI). */
 const toDisplayIdentifier = (guid) => {
   if (!guid) return '';
-  const addr = addressFromGuid(guid);
+  const addr = addressFromChatGuid(guid);
   if (addr) return addr;
   return guid.includes(';') ? guid.slice(guid.lastIndexOf(';') + 1) : guid;
 };
 
-const toChatResponse = (chat, options = {}) => {
+export const toChatResponse = (chat, options = {}) => {
   const { includeParticipants = false, includeMessages = false, includeLastMessage = true } = options;
   const guid = chat.guid;
   const inferredIdentifier = guid.includes(';')
@@ -65,7 +52,8 @@ const toChatResponse = (chat, options = {}) => {
     isFiltered: chat.isFiltered || false,
     groupId: chat.groupId || '',
     properties: chat.properties || {},
-    lastAddressedHandle: chat.lastAddressedHandle || null
+    lastAddressedHandle: chat.lastAddressedHandle || null,
+    ...toUnreadState(chat)
   };
 
   if (includeLastMessage) {
@@ -181,6 +169,7 @@ router.get('/api/v1/chat', optionalAuthenticateToken, async (req, res) => {
  * GET /api/v1/chat/:chatGuid/icon
  * GET /api/v1/chats/:chatGuid/icon
  * Matches official server: group icon only; 404 if chat missing or no icon.
+ * Sends an ETag and answers 304 when If-None-Match matches.
  */
 const chatIconHandler = async (req, res) => {
   try {
@@ -197,9 +186,15 @@ const chatIconHandler = async (req, res) => {
         type: BLUEBUBBLES_ERROR_TYPES.DATABASE_ERROR
       });
     }
-    return sendBlueBubblesError(res, 404, 'Unable to find icon for the selected chat', {
-      type: BLUEBUBBLES_ERROR_TYPES.DATABASE_ERROR
-    });
+
+    const icon = await swiftDaemon.getChatIcon(chat.guid);
+    if (!icon) {
+      return sendBlueBubblesError(res, 404, 'Unable to find icon for the selected chat', {
+        type: BLUEBUBBLES_ERROR_TYPES.DATABASE_ERROR
+      });
+    }
+
+    sendCachedBytes(req, res, icon.data, { contentType: icon.contentType || 'image/jpeg' });
   } catch (error) {
     logger.warn(`Chat icon error: ${error.message}`);
     return sendBlueBubblesError(res, 404, 'Unable to find icon for the selected chat', {
@@ -211,12 +206,96 @@ const chatIconHandler = async (req, res) => {
 router.get('/api/v1/chat/:chatGuid/icon', optionalAuthenticateToken, chatIconHandler);
 router.get('/api/v1/chats/:chatGuid/icon', optionalAuthenticateToken, chatIconHandler);
 
+// Temp dir for POST /api/v1/chat/:chatGuid/icon uploads (removed once the daemon has copied the image)
+const iconUploadDir = path.join(os.tmpdir(), 'bluebubbles-icons');
+try {
+  fs.mkdirSync(iconUploadDir, { recursive: true });
+} catch (_) {}
+
+const uploadIcon = multer({
+  dest: iconUploadDir,
+  limits: { fileSize: 20 * 1024 * 1024 },
+  fileFilter(req, file, cb) {
+    cb(null, /^image\//i.test(file.mimetype || ''));
+  }
+}).single('icon');
+
+/** Broadcast chat-icon-changed with the new ETag (null once the icon is removed). */
+async function broadcastIconChanged(req, chatGuid) {
+  const icon = await swiftDaemon.getChatIcon(chatGuid).catch(() => null);
+  const payload = { chatGuid, guid: chatGuid, hasIcon: Boolean(icon), etag: icon ? etagFor(icon.data) : null };
+  req.socketManager?.broadcastGlobal('chat-icon-changed', payload);
+  return payload;
+}
+
+/**
+ * POST /api/v1/chat/:chatGuid/icon
+ * Official: multipart file "icon"; sets the group chat photo. Broadcasts chat-icon-changed.
+ */
+router.post('/api/v1/chat/:chatGuid/icon', optionalAuthenticateToken, (req, res, next) => {
+  uploadIcon(req, res, (err) => {
+    if (err) {
+      logger.warn(`Chat icon upload error: ${err.message}`);
+      return sendError(res, 400, err.message, 'Bad Request');
+    }
+    next();
+  });
+}, async (req, res) => {
+  const filePath = req.file?.path;
+  try {
+    const chatGuid = await resolveChatGuid(req.params.chatGuid);
+    if (!filePath) {
+      return sendError(res, 400, 'Icon image not provided or invalid! Use multipart field "icon".', 'Bad Request');
+    }
+    if (!chatGuid.includes(';+;')) {
+      return sendError(res, 400, 'Only group chats can have an icon', 'Bad Request');
+    }
+
+    const found = await swiftDaemon.setChatIcon(chatGuid, filePath);
+    if (!found) {
+      return sendError(res, 404, 'Chat does not exist!', 'Not Found');
+    }
+
+    const payload = await broadcastIconChanged(req, chatGuid);
+    sendSuccess(res, payload, 'Successfully set group chat icon!');
+  } catch (error) {
+    logger.error(`Set chat icon error: ${error.message}`);
+    sendError(res, 500, error.message);
+  } finally {
+    if (filePath) fs.promises.unlink(filePath).catch(() => {});
+  }
+});
+
+/**
+ * DELETE /api/v1/chat/:chatGuid/icon
+ * Removes the group chat photo. Broadcasts chat-icon-changed.
+ */
+router.delete('/api/v1/chat/:chatGuid/icon', optionalAuthenticateToken, async (req, res) => {
+  try {
+    const chatGuid = await resolveChatGuid(req.params.chatGuid);
+    if (!chatGuid.includes(';+;')) {
+      return sendError(res, 400, 'Only group chats can have an icon', 'Bad Request');
+    }
+
+    const found = await swiftDaemon.removeChatIcon(chatGuid);
+    if (!found) {
+      return sendError(res, 404, 'Chat does not exist!', 'Not Found');
+    }
+
+    const payload = await broadcastIconChanged(req, chatGuid);
+    sendSuccess(res, payload, 'Successfully removed group chat icon!');
+  } catch (error) {
+    logger.error(`Remove chat icon error: ${error.message}`);
+    sendError(res, 500, error.message);
+  }
+});
+
 /**
  * Build a single message payload for API response (e.g. chat/new sent message).
  * Matches BlueBubbles message shape; handleId is int? (number or null).
  */
 function toSentMessagePayload(sentResult, chatGuid, text, opts = {}) {
-  const { tempGuid, subject = null } = opts;
+  const { tempGuid, subject = null, error = 0 } = opts;
   const rawDate = sentResult?.dateCreated != null ? Number(sentResult.dateCreated) : null;
   const dateCreated = rawDate != null ? (toClientTimestamp(rawDate) ?? Date.now()) : Date.now();
   const payload = {
@@ -229,7 +308,7 @@ function toSentMessagePayload(sentResult, chatGuid, text, opts = {}) {
     isFromMe: true,
     type: 'text',
     subject,
-    error: 0,
+    error,
     attachments: [],
     associatedMessageGuid: null,
     associatedMessageType: null
@@ -240,7 +319,10 @@ function toSentMessagePayload(sentResult, chatGuid, text, opts = {}) {
 
 /**
  * POST /api/v1/chat/new
- * Create or find chat. Body: addresses (required), message, service, tempGuid, subject.
+ * Create or find chat (exact participant-set match). Body: addresses (required), message, service, tempGuid, subject.
+ * Query: guid (address used when addresses is empty).
+ * Broadcasts new-chat when a chat was created and message.created for a sent first message. Like start-chat,
+ * a first message that fails returns 500 with the chat and the message (error 4, tempGuid).
  * Must be before /api/v1/chat/:chatGuid so "new" is not matched as chatGuid.
  */
 router.post('/api/v1/chat/new', optionalAuthenticateToken, async (req, res) => {
@@ -249,71 +331,54 @@ router.post('/api/v1/chat/new', optionalAuthenticateToken, async (req, res) => {
     const { addresses = [], message, service = 'iMessage', tempGuid, subject } = body;
 
     let list = Array.isArray(addresses) ? addresses.map(a => String(a).trim()).filter(Boolean) : [];
+    // Legacy clients pass the address (or a 1:1 chat GUID) as ?guid= with no addresses
     if (list.length === 0 && req.query?.guid) {
       const guid = String(req.query.guid).trim();
-      if (guid) list = [guid];
+      if (guid) list = [addressFromChatGuid(guid) || guid];
     }
     if (list.length === 0) {
       return sendError(res, 400, 'No addresses provided!', 'Bad Request');
     }
 
-    const serviceType = (service === 'SMS' || service === 'iMessage') ? service : 'iMessage';
-    const firstAddress = list[0];
-    const chats = await swiftDaemon.getChats();
-    const normalized = firstAddress.replace(/\r/g, '').replace(/\n/g, '');
-    const chat = chats.find(c => {
-      const guid = (c.guid || '').toLowerCase();
-      const addr = normalized.toLowerCase();
-      return guid.includes(addr) || guid.endsWith(addr) || guid.endsWith(addr.replace(/^\+/, ''));
+    const subjectStr = subject != null && String(subject).trim() !== '' ? String(subject) : null;
+    const { chat, created, sent, sendError } = await findOrCreateChat({
+      addresses: list,
+      service,
+      message,
+      tempGuid,
+      subject: subjectStr
     });
-
-    let chatGuid;
-    let responseChat;
-    if (chat) {
-      chatGuid = chat.guid;
-      responseChat = toChatResponse(chat, {
-        includeParticipants: true,
-        includeLastMessage: true,
-        includeMessages: false
-      });
-    } else {
-      chatGuid = `${serviceType};-;${normalized}`;
-      responseChat = {
-        originalROWID: 0,
-        guid: chatGuid,
-        style: list.length > 2 ? 43 : 0,
-        chatIdentifier: normalized,
-        isArchived: false,
-        displayName: '',
-        isFiltered: false,
-        groupId: list.length > 2 ? chatGuid : '',
-        properties: {},
-        lastAddressedHandle: null,
-        lastMessage: null,
-        participants: list.map(addr => ({ address: addr }))
-      };
+    const responseChat = toChatResponse(chat, {
+      includeParticipants: true,
+      includeLastMessage: true,
+      includeMessages: false
+    });
+    if (created) {
+      req.socketManager?.broadcastGlobal('new-chat', responseChat);
     }
 
     const messageStr = message != null ? String(message).trim() : '';
-    if (messageStr) {
-      try {
-        const sentResult = await swiftDaemon.sendMessage(chatGuid, messageStr, {
-          tempGuid: tempGuid || undefined
-        });
-        responseChat.messages = [
-          toSentMessagePayload(sentResult, chatGuid, messageStr, { tempGuid, subject: subject || null })
-        ];
-      } catch (sendErr) {
-        logger.warn(`chat/new: initial message send failed: ${sendErr.message}`);
-        responseChat.messages = [];
-      }
-    } else {
-      responseChat.messages = [];
+    if (sendError) {
+      responseChat.messages = [toSentMessagePayload(null, chat.guid, messageStr, { tempGuid, subject: subjectStr, error: 4 })];
+      return res.status(500).json({
+        status: 500,
+        message: 'Chat started, but the message failed to send!',
+        error: { type: 'iMessage Error', message: sendError.message },
+        data: responseChat
+      });
     }
-
-    sendSuccess(res, responseChat, 'Successfully created chat!');
+    responseChat.messages = [];
+    if (sent) {
+      const sentMessage = toSentMessagePayload(sent, chat.guid, messageStr, { tempGuid, subject: subjectStr });
+      req.socketManager?.broadcastToChat(chat.guid, 'message.created', sentMessage);
+      responseChat.messages = [sentMessage];
+    }
+    sendSuccess(res, responseChat, created ? 'Successfully created chat!' : 'Chat already exists!');
   } catch (error) {
     logger.error(`Chat new error: ${error.message}`);
+    if (error.status === 400) {
+      return sendError(res, 400, error.message, 'Bad Request');
+    }
     sendError(res, 500, error.message);
   }
 });
@@ -444,4 +509,180 @@ router.get('/api/v1/chat/:chatGuid', optionalAuthenticateToken, async (req, res)
   }
 });
 
+/**
+ * PUT /api/v1/chat/:chatGuid
+ * Rename a group chat. Body: { displayName }. Broadcasts group-name-change to the chat room.
+ */
+router.put('/api/v1/chat/:chatGuid', optionalAuthenticateToken, async (req, res) => {
+  try {
+    const chatGuid = await resolveChatGuid(req.params.chatGuid);
+    const displayName = req.body?.displayName != null ? String(req.body.displayName).trim() : '';
+    if (!displayName) {
+      return sendError(res, 400, 'displayName is required', 'Bad Request');
+    }
+
+    const updated = await swiftDaemon.renameGroup(chatGuid, displayName);
+    if (!updated) {
+      return sendError(res, 404, 'Chat does not exist!', 'Not Found');
+    }
+
+    const chat = toChatResponse({ ...updated, guid: updated.guid || chatGuid, displayName }, {
+      includeParticipants: true
+    });
+    req.socketManager?.broadcastToChat(
+      chatGuid,
+      'group-name-change',
+      toGroupActionResponse(chatGuid, {
+        itemType: GROUP_ITEM_TYPES.NAME_CHANGE,
+        groupTitle: displayName,
+        message: updated.message
+      }, [chat])
+    );
+
+    sendSuccess(res, chat, 'Successfully updated the following fields: displayName');
+  } catch (error) {
+    logger.error(`Rename chat error: ${error.message}`);
+    sendError(res, 500, error.message);
+  }
+});
+
+/**
+ * Shared handler for POST /api/v1/chat/:chatGuid/participant/add and /remove.
+ * Body: { address }. Broadcasts participant-added / participant-removed to the chat room.
+ */
+const participantHandler = (action) => async (req, res) => {
+  try {
+    const chatGuid = await resolveChatGuid(req.params.chatGuid);
+    const address = req.body?.address != null ? String(req.body.address).trim() : '';
+    if (!address) {
+      return sendError(res, 400, 'address is required', 'Bad Request');
+    }
+
+    const isAdd = action === 'add';
+    const updated = isAdd
+      ? await swiftDaemon.addParticipant(chatGuid, address)
+      : await swiftDaemon.removeParticipant(chatGuid, address);
+    if (!updated) {
+      return sendError(res, 404, 'Chat does not exist!', 'Not Found');
+    }
+
+    const chat = toChatResponse({ ...updated, guid: updated.guid || chatGuid }, { includeParticipants: true });
+    req.socketManager?.broadcastToChat(
+      chatGuid,
+      isAdd ? 'participant-added' : 'participant-removed',
+      toGroupActionResponse(chatGuid, {
+        itemType: GROUP_ITEM_TYPES.PARTICIPANT_CHANGE,
+        groupActionType: isAdd ? GROUP_ACTION_TYPES.ADDED : GROUP_ACTION_TYPES.REMOVED,
+        address,
+        message: updated.message
+      }, [chat])
+    );
+
+    sendSuccess(res, chat, isAdd ? 'Successfully added participant!' : 'Successfully removed participant!');
+  } catch (error) {
+    logger.error(`Chat participant ${action} error: ${error.message}`);
+    sendError(res, 500, error.message);
+  }
+};
+
+router.post('/api/v1/chat/:chatGuid/participant/add', optionalAuthenticateToken, participantHandler('add'));
+router.post('/api/v1/chat/:chatGuid/participant/remove', optionalAuthenticateToken, participantHandler('remove'));
+
+/**
+ * Shared handler for POST /api/v1/chat/:chatGuid/read and /unread.
+ * Updates the Mac via the daemon and broadcasts chat-read-status-changed to every client.
+ */
+const readStatusHandler = (read) => async (req, res) => {
+  try {
+    const chatGuid = await resolveChatGuid(req.params.chatGuid);
+    const updated = await swiftDaemon.setChatReadStatus(chatGuid, read);
+    if (!updated) {
+      return sendError(res, 404, 'Chat does not exist!', 'Not Found');
+    }
+
+    req.socketManager?.broadcastGlobal('chat-read-status-changed', toReadStatusPayload(chatGuid, updated, read));
+    sendSuccess(res, toChatResponse({ ...updated, guid: updated.guid || chatGuid }), `Successfully marked chat as ${read ? 'read' : 'unread'}!`);
+  } catch (error) {
+    logger.error(`Mark chat ${read ? 'read' : 'unread'} error: ${error.message}`);
+    sendError(res, 500, error.message);
+  }
+};
+
+router.post('/api/v1/chat/:chatGuid/read', optionalAuthenticateToken, readStatusHandler(true));
+router.post('/api/v1/chat/:chatGuid/unread', optionalAuthenticateToken, readStatusHandler(false));
+
+/**
+ * DELETE /api/v1/chat/:chatGuid
+ * Delete the conversation on the Mac. Broadcasts chat-deleted to every client.
+ */
+router.delete('/api/v1/chat/:chatGuid', optionalAuthenticateToken, async (req, res) => {
+  try {
+    const chatGuid = await resolveChatGuid(req.params.chatGuid);
+    const deleted = await swiftDaemon.deleteChat(chatGuid);
+    if (!deleted) {
+      return sendError(res, 404, 'Chat does not exist!', 'Not Found');
+    }
+
+    invalidateChatIndex();
+    req.socketManager?.broadcastGlobal('chat-deleted', { guid: chatGuid, chatGuid });
+    sendSuccess(res, null, 'Successfully deleted chat!');
+  } catch (error) {
+    logger.error(`Delete chat error: ${error.message}`);
+    sendError(res, 500, error.message);
+  }
+});
+
+/**
+ * Shared handler for POST /api/v1/chat/:chatGuid/archive and /unarchive.
+ * Broadcasts chat-updated to every client.
+ */
+const archiveHandler = (archived) => async (req, res) => {
+  try {
+    const chatGuid = await resolveChatGuid(req.params.chatGuid);
+    const updated = await swiftDaemon.setChatArchived(chatGuid, archived);
+    if (!updated) {
+      return sendError(res, 404, 'Chat does not exist!', 'Not Found');
+    }
+
+    const chat = toChatResponse({ ...updated, guid: updated.guid || chatGuid, isArchived: updated.isArchived ?? archived }, {
+      includeParticipants: true
+    });
+    invalidateChatIndex();
+    req.socketManager?.broadcastGlobal('chat-updated', chat);
+    sendSuccess(res, chat, `Successfully ${archived ? 'archived' : 'unarchived'} chat!`);
+  } catch (error) {
+    logger.error(`${archived ? 'Archive' : 'Unarchive'} chat error: ${error.message}`);
+    sendError(res, 500, error.message);
+  }
+};
+
+router.post('/api/v1/chat/:chatGuid/archive', optionalAuthenticateToken, archiveHandler(true));
+router.post('/api/v1/chat/:chatGuid/unarchive', optionalAuthenticateToken, archiveHandler(false));
+
+/**
+ * POST /api/v1/chat/:chatGuid/leave
+ * Leave a group chat. Broadcasts chat-updated to every client.
+ */
+router.post('/api/v1/chat/:chatGuid/leave', optionalAuthenticateToken, async (req, res) => {
+  try {
+    const chatGuid = await resolveChatGuid(req.params.chatGuid);
+    if (!chatGuid.includes(';+;')) {
+      return sendError(res, 400, 'Only group chats can be left', 'Bad Request');
+    }
+
+    const updated = await swiftDaemon.leaveChat(chatGuid);
+    if (!updated) {
+      return sendError(res, 404, 'Chat does not exist!', 'Not Found');
+    }
+
+    const chat = toChatResponse({ ...updated, guid: updated.guid || chatGuid }, { includeParticipants: true });
+    invalidateChatIndex();
+    req.socketManager?.broadcastGlobal('chat-updated', chat);
+    sendSuccess(res, chat, 'Successfully left chat!');
+  } catch (error) {
+    logger.error(`Leave chat error: ${error.message}`);
+    sendError(res, 500, error.message);
+  }
+});
+
 export default router;
\ No newline at end of file
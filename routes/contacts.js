@@ -1,32 +1,64 @@
 import express from 'express';
+import path from 'path';
+import multer from 'multer';
 import swiftDaemon from '../services/swift-daemon.js';
+import addressBook from '../services/address-book.js';
+import { createDiskCache } from '../services/disk-cache.js';
 import { optionalAuthenticateToken } from '../middleware/auth.js';
 import logger from '../config/logger.js';
 import { sendSuccess, sendError } from '../utils/envelope.js';
+import { normalizeAddress } from '../utils/addresses.js';
+import { mapContact, mapContacts, shouldIncludeAvatar } from '../utils/contacts.js';
+import { sendCachedBytes, etagFor } from '../utils/http-cache.js';
+import { searchContacts } from '../utils/contact-search.js';
+import { detectImageType } from '../utils/images.js';
 
 const router = express.Router();
 
 const CONTACTS_CACHE_TTL_MS = 60 * 1000;
 let contactsCache = [];
 let contactsCacheAt = 0;
+let contactsCacheHasAvatars = false;
 
-/** Invalidate contacts cache so next request refetches from daemon (e.g. after contacts_updated from SSE). */
+const envInt = (name, fallback) => {
+  const raw = process.env[name];
+  const n = raw != null ? parseInt(String(raw), 10) : NaN;
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+};
+
+/** Avatars fetched from the daemon (per contact and requested size); cleared whenever contacts change. */
+const avatarCache = createDiskCache({
+  dir: process.env.CONTACT_AVATAR_CACHE_DIR || path.resolve(process.cwd(), 'data', 'avatar-cache'),
+  maxBytes: envInt('CONTACT_AVATAR_CACHE_MAX_BYTES', 20 * 1024 * 1024),
+  ttlMs: envInt('CONTACT_AVATAR_CACHE_TTL_MS', 24 * 60 * 60 * 1000),
+  name: 'avatar-cache'
+});
+
+const MAX_AVATAR_DIMENSION = 2048;
+
+/** Invalidate contacts cache so next request refetches from daemon (e.g. after contacts_updated from SSE or a vCard upload). */
 export function invalidateContactsCache() {
   contactsCache = [];
   contactsCacheAt = 0;
+  contactsCacheHasAvatars = false;
+  avatarCache.clear();
 }
 
 const getContactsCached = async (opts = {}) => {
-  const { limit, offset, extraProperties } = opts;
+  const { limit, offset, extraProperties = [] } = opts;
   const now = Date.now();
-  if (contactsCache.length > 0 && now - contactsCacheAt < CONTACTS_CACHE_TTL_MS && limit == null && offset == null) {
+  // A cache filled without avatars can't answer a request that wants them
+  const wantsAvatars = shouldIncludeAvatar(extraProperties);
+  if (contactsCache.length > 0 && now - contactsCacheAt < CONTACTS_CACHE_TTL_MS && limit == null && offset == null &&
+      (contactsCacheHasAvatars || !wantsAvatars)) {
     return contactsCache;
   }
 
-  const contacts = await swiftDaemon.getContacts({ limit, offset, extraProperties });
+  const contacts = await addressBook.getContacts({ limit, offset, extraProperties });
   if (limit == null && offset == null) {
     contactsCache = contacts || [];
     contactsCacheAt = now;
+    contactsCacheHasAvatars = wantsAvatars;
   }
   return contacts || [];
 };
@@ -42,103 +74,15 @@ const normalizeExtraProperties = (input) => {
     .filter(Boolean);
 };
 
-const shouldIncludeAvatar = (extraProps) => {
-  const lower = extraProps.map(v => v.toLowerCase());
-  return (
-    lower.includes('avatar') ||
-    lower.includes('contactimage') ||
-    lower.includes('contactthumbnailimage')
-  );
-};
-
-const dedupeByAddress = (items) => {
-  const seen = new Set();
-  return items.filter(item => {
-    if (!item.address) return false;
-    if (seen.has(item.address)) return false;
-    seen.add(item.address);
-    return true;
-  });
-};
-
-const extractEmails = (contact) => {
-  const raw = []
-    .concat(contact.emails || [])
-    .concat(contact.emailAddresses || [])
-    .concat(contact.addresses || []);
-  const normalized = raw
-    .map(value => {
-      const address =
-        typeof value === 'string'
-          ? value
-          : value?.address || value?.value || value?.email || null;
-      return { address: address ? String(address) : null, id: value?.id || value?.identifier || null };
-    })
-    .filter(entry => entry.address && entry.address.includes('@'));
-
-  return dedupeByAddress(normalized);
-};
-
-const extractPhoneNumbers = (contact) => {
-  const raw = []
-    .concat(contact.phones || [])
-    .concat(contact.phoneNumbers || [])
-    .concat(contact.addresses || []);
-  const normalized = raw
-    .map(value => {
-      const address =
-        typeof value === 'string'
-          ? value
-          : value?.address || value?.value || value?.phone || value?.number || null;
-      return { address: address ? String(address) : null, id: value?.id || value?.identifier || null };
-    })
-    .filter(entry => entry.address && !entry.address.includes('@'));
-
-  return dedupeByAddress(normalized);
-};
-
-const mapContact = (contact, includeAvatar) => {
-  const phoneNumbers = extractPhoneNumbers(contact);
-  const emails = extractEmails(contact);
-  const firstName = contact.firstName ?? contact.first_name ?? null;
-  const lastName = contact.lastName ?? contact.last_name ?? null;
-
-  const displayName =
-    (contact.displayName ?? contact.display_name) ||
-    [firstName, lastName]
-      .filter(Boolean)
-      .join(' ')
-      .trim() ||
-    phoneNumbers[0]?.address ||
-    'Unknown';
-
-  return {
-    phoneNumbers,
-    emails,
-    firstName,
-    lastName,
-    displayName,
-    nickname: contact.nickname ?? null,
-    birthday: contact.birthday ?? null,
-    avatar: includeAvatar ? (contact.avatar ?? '') : '',
-    sourceType: contact.sourceType ?? 'api',
-    id: contact.id
-  };
-};
-
-const mapContacts = (contacts, extraProps) => {
-  const includeAvatar = shouldIncludeAvatar(extraProps);
-  return contacts.map(contact => mapContact(contact, includeAvatar));
-};
-
+/** Contacts owning any of the addresses, compared in normalized form ("(555) 123-4567" matches "+15551234567"). */
 const filterByAddresses = (contacts, addresses) => {
-  const addressSet = new Set(addresses.map(String));
+  const addressSet = new Set(addresses.map(normalizeAddress).filter(Boolean));
   return contacts.filter(contact => {
     const phones = Array.isArray(contact.phoneNumbers) ? contact.phoneNumbers : [];
     const emails = Array.isArray(contact.emails) ? contact.emails : [];
     return (
-      phones.some(p => addressSet.has(p.address)) ||
-      emails.some(e => addressSet.has(e.address))
+      phones.some(p => addressSet.has(normalizeAddress(p.address))) ||
+      emails.some(e => addressSet.has(normalizeAddress(e.address)))
     );
   });
 };
@@ -257,4 +201,340 @@ router.get('/api/v1/contacts/vcf', optionalAuthenticateToken, async (req, res) =
   }
 });
 
+const CONTACT_TEXT_FIELDS = ['firstName', 'lastName', 'displayName', 'nickname', 'birthday'];
+
+/** Strings or { address | value } objects -> trimmed strings; undefined when the field was not sent. */
+const parseAddressList = (value) => {
+  if (value === undefined) return undefined;
+  const list = Array.isArray(value) ? value : value == null ? [] : [value];
+  return list
+    .map(v => (typeof v === 'string' ? v : v?.address ?? v?.value ?? ''))
+    .map(v => String(v).trim())
+    .filter(Boolean);
+};
+
+/** Apply replace / add / remove to an address list, deduping in normalized form. */
+const applyAddressChanges = (current, replace, add, remove) => {
+  const base = replace ?? current;
+  const removeSet = new Set((remove || []).map(normalizeAddress));
+  const seen = new Set();
+  return [...base, ...(add || [])].filter(address => {
+    const key = normalizeAddress(address);
+    if (!key || removeSet.has(key) || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+};
+
+/**
+ * Turn a create/update body into daemon contact fields.
+ * Text fields are set when present (null or '' clears them). phoneNumbers/emails replace the list;
+ * addPhoneNumbers/removePhoneNumbers/addEmails/removeEmails edit it relative to the existing contact.
+ * @param {Object} body - Request body
+ * @param {Object|null} existing - Current contact (mapContact shape) for updates, null for create
+ * @returns {{ fields?: Object, error?: string }}
+ */
+const parseContactInput = (body, existing = null) => {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) return { error: 'Contact must be an object' };
+  const fields = {};
+  for (const key of CONTACT_TEXT_FIELDS) {
+    if (!(key in body)) continue;
+    const value = body[key] == null ? '' : String(body[key]).trim();
+    fields[key] = value || null;
+  }
+
+  const lists = {
+    phoneNumbers: {
+      current: (existing?.phoneNumbers || []).map(p => p.address),
+      replace: parseAddressList(body.phoneNumbers ?? body.phones),
+      add: parseAddressList(body.addPhoneNumbers),
+      remove: parseAddressList(body.removePhoneNumbers)
+    },
+    emails: {
+      current: (existing?.emails || []).map(e => e.address),
+      replace: parseAddressList(body.emails),
+      add: parseAddressList(body.addEmails),
+      remove: parseAddressList(body.removeEmails)
+    }
+  };
+  for (const [key, { current, replace, add, remove }] of Object.entries(lists)) {
+    if (replace === undefined && add === undefined && remove === undefined) continue;
+    fields[key] = applyAddressChanges(current, replace, add, remove);
+  }
+  if ((fields.emails || []).some(e => !e.includes('@'))) return { error: 'Invalid email address' };
+  if ((fields.phoneNumbers || []).some(p => p.includes('@'))) return { error: 'Invalid phone number' };
+
+  if (existing) {
+    if (!Object.keys(fields).length) return { error: 'No contact fields to update' };
+  } else if (!fields.firstName && !fields.lastName && !fields.displayName && !fields.phoneNumbers?.length && !fields.emails?.length) {
+    return { error: 'Contact must have a name, phone number or email' };
+  }
+  return { fields };
+};
+
+/** Whether an update edits a list relative to what the contact already has (needs the current contact). */
+const needsExistingContact = (body) =>
+  ['addPhoneNumbers', 'removePhoneNumbers', 'addEmails', 'removeEmails'].some(key => body?.[key] !== undefined);
+
+/** Find a contact by id, refetching once when the cache predates it. */
+const findContactById = async (id) => {
+  const find = (contacts) => contacts.find(c => String(c.id) === String(id)) || null;
+  const cached = find(await getContactsCached({}));
+  if (cached) return cached;
+  invalidateContactsCache();
+  return find(await getContactsCached({}));
+};
+
+/** Drop cached contacts and send the contacts_updated broadcast clients already listen for. */
+const notifyContactsChanged = (req, action, ids) => {
+  invalidateContactsCache();
+  req.socketManager?.broadcastGlobal('contacts_updated', {
+    type: 'contacts_updated',
+    action,
+    contactIds: ids.filter(id => id != null),
+    timestamp: Date.now()
+  });
+};
+
+/**
+ * POST /api/v1/contact
+ * POST /api/v1/contacts
+ * Official: body is an array of contacts ({ firstName, lastName, displayName, nickname, birthday, phoneNumbers, emails });
+ * a single contact object is accepted too. Creates them in the Mac address book. Broadcasts contacts_updated.
+ */
+const createContactsHandler = async (req, res) => {
+  try {
+    const single = !Array.isArray(req.body);
+    const inputs = single ? [req.body] : req.body;
+    if (!inputs.length) {
+      return sendError(res, 400, 'No contacts provided', 'Bad Request');
+    }
+    const parsed = inputs.map(body => parseContactInput(body));
+    const invalid = parsed.findIndex(p => p.error);
+    if (invalid >= 0) {
+      return sendError(res, 400, single ? parsed[invalid].error : `Contact ${invalid}: ${parsed[invalid].error}`, 'Bad Request');
+    }
+
+    const created = [];
+    for (const { fields } of parsed) {
+      created.push(mapContact(await swiftDaemon.createContact(fields), false));
+    }
+    notifyContactsChanged(req, 'created', created.map(c => c.id));
+    sendSuccess(res, single ? created[0] : created, `Successfully created ${created.length} contact(s)!`);
+  } catch (error) {
+    logger.error(`Create contact error: ${error.message}`);
+    sendError(res, 500, error.message);
+  }
+};
+
+router.post('/api/v1/contact', optionalAuthenticateToken, createContactsHandler);
+router.post('/api/v1/contacts', optionalAuthenticateToken, createContactsHandler);
+
+/**
+ * PUT /api/v1/contact/:id
+ * Partial update: only fields present in the body change. phoneNumbers/emails replace the list;
+ * addPhoneNumbers, removePhoneNumbers, addEmails and removeEmails edit it. Broadcasts contacts_updated.
+ */
+router.put('/api/v1/contact/:id', optionalAuthenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    let existing = null;
+    if (needsExistingContact(req.body)) {
+      const current = await findContactById(id);
+      if (!current) {
+        return sendError(res, 404, 'Contact does not exist!', 'Not Found');
+      }
+      existing = mapContact(current, false);
+    }
+
+    const { fields, error } = parseContactInput(req.body, existing || {});
+    if (error) {
+      return sendError(res, 400, error, 'Bad Request');
+    }
+
+    const updated = await swiftDaemon.updateContact(id, fields);
+    if (!updated) {
+      return sendError(res, 404, 'Contact does not exist!', 'Not Found');
+    }
+    const contact = mapContact({ ...updated, id: updated.id ?? id }, false);
+    notifyContactsChanged(req, 'updated', [contact.id]);
+    sendSuccess(res, contact, 'Successfully updated contact!');
+  } catch (error) {
+    logger.error(`Update contact error: ${error.message}`);
+    sendError(res, 500, error.message);
+  }
+});
+
+/**
+ * DELETE /api/v1/contact/:id
+ * Deletes the contact from the Mac address book. Broadcasts contacts_updated.
+ */
+router.delete('/api/v1/contact/:id', optionalAuthenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const deleted = await swiftDaemon.deleteContact(id);
+    if (!deleted) {
+      return sendError(res, 404, 'Contact does not exist!', 'Not Found');
+    }
+    notifyContactsChanged(req, 'deleted', [id]);
+    sendSuccess(res, null, 'Successfully deleted contact!');
+  } catch (error) {
+    logger.error(`Delete contact error: ${error.message}`);
+    sendError(res, 500, error.message);
+  }
+});
+
+const uploadVcf = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 50 * 1024 * 1024 }
+}).single('vcf');
+
+/**
+ * POST /api/v1/contact/import
+ * Upload a .vcf address book (multipart field "vcf", or JSON { vcf: "<text>" }). Replaces the uploaded book
+ * used by get-contacts / GET /api/v1/contacts (same file as the save-vcf socket event). Broadcasts contacts_updated.
+ */
+router.post('/api/v1/contact/import', optionalAuthenticateToken, (req, res, next) => {
+  uploadVcf(req, res, (err) => {
+    if (err) {
+      logger.warn(`vCard upload error: ${err.message}`);
+      return sendError(res, 400, err.message, 'Bad Request');
+    }
+    next();
+  });
+}, async (req, res) => {
+  try {
+    const text = req.file ? req.file.buffer.toString('utf8') : (typeof req.body?.vcf === 'string' ? req.body.vcf : '');
+    if (!/BEGIN:VCARD/i.test(text)) {
+      return sendError(res, 400, 'No vCard data provided! Upload a .vcf file in multipart field "vcf".', 'Bad Request');
+    }
+    const contacts = addressBook.saveVcf(text);
+    notifyContactsChanged(req, 'imported', []);
+    logger.info(`Imported ${contacts.length} contacts from uploaded vCard`);
+    sendSuccess(res, { imported: contacts.length, contacts: mapContacts(contacts, []) }, `Successfully imported ${contacts.length} contact(s)!`);
+  } catch (error) {
+    logger.error(`Import contacts error: ${error.message}`);
+    sendError(res, 500, error.message);
+  }
+});
+
+const parseDimension = (value) => {
+  if (value == null || value === '') return { value: null };
+  const n = parseInt(String(value), 10);
+  if (!Number.isFinite(n) || n < 1 || n > MAX_AVATAR_DIMENSION) {
+    return { error: `Dimensions must be between 1 and ${MAX_AVATAR_DIMENSION}` };
+  }
+  return { value: n };
+};
+
+/**
+ * GET /api/v1/contact/:id/avatar
+ * Contact image bytes. Query: width, height (the daemon scales the image to fit; photos from an uploaded
+ * vCard are served at their original size). Sends an ETag and answers 304 when If-None-Match matches.
+ */
+router.get('/api/v1/contact/:id/avatar', optionalAuthenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const width = parseDimension(req.query?.width);
+    const height = parseDimension(req.query?.height);
+    if (width.error || height.error) {
+      return sendError(res, 400, width.error || height.error, 'Bad Request');
+    }
+
+    const key = `${id}:${width.value ?? 0}x${height.value ?? 0}`;
+    const cached = avatarCache.get(key);
+    if (cached) {
+      return sendCachedBytes(req, res, cached.data, { contentType: cached.meta.contentType, etag: cached.meta.etag });
+    }
+
+    let avatar = null;
+    const uploaded = addressBook.getUploadedContacts().find(c => String(c.id) === id && c.avatar);
+    if (uploaded) {
+      const data = Buffer.from(uploaded.avatar, 'base64');
+      avatar = { data, contentType: detectImageType(data) || 'application/octet-stream' };
+    } else {
+      avatar = await swiftDaemon.getContactAvatar(id, { width: width.value, height: height.value });
+    }
+    if (!avatar) {
+      return sendError(res, 404, 'Contact avatar does not exist!', 'Not Found');
+    }
+
+    const contentType = avatar.contentType || detectImageType(avatar.data) || 'application/octet-stream';
+    const etag = etagFor(avatar.data);
+    avatarCache.set(key, avatar.data, { contentType, etag });
+    sendCachedBytes(req, res, avatar.data, { contentType, etag });
+  } catch (error) {
+    logger.error(`Get contact avatar error: ${error.message}`);
+    sendError(res, 500, error.message);
+  }
+});
+
+/**
+ * GET /api/v1/contact/search
+ * Query: q (required), limit (1-100, default 25), extraProperties. Case- and diacritic-insensitive prefix and
+ * fuzzy matching over display name, first/last name, nickname, phone numbers and emails; best matches first.
+ * metadata.scores holds each result's match score (0-1).
+ */
+router.get('/api/v1/contact/search', optionalAuthenticateToken, async (req, res) => {
+  try {
+    const q = req.query?.q != null ? String(req.query.q).trim() : '';
+    if (!q) {
+      return sendError(res, 400, 'q query parameter is required', 'Bad Request');
+    }
+    const limitRaw = req.query?.limit != null ? parseInt(req.query.limit, 10) : 25;
+    const limit = Math.min(Math.max(Number.isNaN(limitRaw) ? 25 : limitRaw, 1), 100);
+    const extraProps = normalizeExtraProperties(req.query?.extraProperties);
+
+    const contacts = mapContacts(await getContactsCached({ extraProperties: extraProps }), extraProps);
+    const results = searchContacts(contacts, q, { limit });
+    sendSuccess(res, results.map(r => r.contact), 'Success', 200, {
+      count: results.length,
+      query: q,
+      scores: results.map(r => r.score)
+    });
+  } catch (error) {
+    logger.error(`Search contacts error: ${error.message}`);
+    sendError(res, 500, error.message);
+  }
+});
+
+const MAX_RESOLVE_ADDRESSES = 1000;
+
+/**
+ * POST /api/v1/contact/resolve
+ * Body: { addresses: string[] } (max 1000). Returns { [address]: { displayName, contactId, avatarUrl } | null }
+ * keyed by the addresses exactly as sent; numbers match in any format.
+ */
+router.post('/api/v1/contact/resolve', optionalAuthenticateToken, async (req, res) => {
+  try {
+    const { addresses } = req.body || {};
+    if (!Array.isArray(addresses) || !addresses.length) {
+      return sendError(res, 400, 'addresses must be a non-empty array', 'Bad Request');
+    }
+    if (addresses.length > MAX_RESOLVE_ADDRESSES) {
+      return sendError(res, 400, `At most ${MAX_RESOLVE_ADDRESSES} addresses per request`, 'Bad Request');
+    }
+
+    const byAddress = new Map();
+    for (const contact of mapContacts(await getContactsCached({}), [])) {
+      for (const { address } of [...contact.phoneNumbers, ...contact.emails]) {
+        const key = normalizeAddress(address);
+        if (key && !byAddress.has(key)) byAddress.set(key, contact);
+      }
+    }
+
+    const resolved = {};
+    for (const address of addresses) {
+      const contact = byAddress.get(normalizeAddress(address));
+      resolved[String(address)] = contact
+        ? { displayName: contact.displayName, contactId: contact.id ?? null, avatarUrl: contact.avatarUrl }
+        : null;
+    }
+    sendSuccess(res, resolved);
+  } catch (error) {
+    logger.error(`Resolve contacts error: ${error.message}`);
+    sendError(res, 500, error.message);
+  }
+});
+
 export default router;
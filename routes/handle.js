@@ -1,39 +1,178 @@
 import express from 'express';
+import swiftDaemon from '../services/swift-daemon.js';
 import { optionalAuthenticateToken } from '../middleware/auth.js';
-import { sendSuccess } from '../utils/envelope.js';
+import logger from '../config/logger.js';
+import { sendSuccess, sendError, sendBlueBubblesError, BLUEBUBBLES_ERROR_TYPES } from '../utils/envelope.js';
+import { normalizeAddress } from '../utils/addresses.js';
+import { toChatResponse, parseWithQuery } from './chats.js';
 
 const router = express.Router();
 
+/** How long (ms) an iMessage/FaceTime availability lookup is reused before asking the daemon again. */
+const HANDLE_AVAILABILITY_TTL_MS = (() => {
+  const raw = process.env.HANDLE_AVAILABILITY_TTL_MS;
+  const n = raw != null ? parseInt(String(raw), 10) : NaN;
+  return Number.isFinite(n) && n >= 0 ? n : 60 * 1000;
+})();
+
+const HANDLE_AVAILABILITY_CACHE_MAX = 5000;
+const availabilityCache = new Map();
+
+const cleanAddress = (value) => String(value ?? '').replace(/[\r\n]/g, '').trim();
+
+/**
+ * BlueBubbles HandleResponse shape (daemon may send camelCase or snake_case).
+ * @param {Object} handle - Daemon handle
+ * @param {Array|null} [chats] - Chats to embed (with=chats)
+ */
+const toHandleResponse = (handle, chats = null) => {
+  const response = {
+    originalROWID: handle.originalROWID ?? handle.rowid ?? handle.ROWID ?? 0,
+    address: handle.address ?? handle.id ?? '',
+    service: handle.service ?? 'iMessage',
+    uncanonicalizedId: handle.uncanonicalizedId ?? handle.uncanonicalized_id ?? null,
+    country: handle.country ?? null
+  };
+  if (chats) response.chats = chats;
+  return response;
+};
+
+/** Chats (without participants) in which each handle's address participates. */
+const chatsForHandles = async (handles) => {
+  const chats = await swiftDaemon.getChats();
+  return handles.map((handle) => {
+    const wanted = normalizeAddress(handle.address ?? handle.id);
+    return chats
+      .filter(chat => (chat.participants || []).some(p => normalizeAddress(typeof p === 'string' ? p : p?.address) === wanted))
+      .map(chat => toChatResponse(chat, { includeParticipants: false }));
+  });
+};
+
 /**
- * GET /api/v1/handle/availability/imessage
- * Check if a handle (phone/email) is available on iMessage. Clients expect this; return stub to avoid 404.
- * Query: address (required), guid (optional). Same shape as BlueBubbles: { data: { online, available } }
+ * Shared handler for GET /api/v1/handle/availability/imessage and /facetime.
+ * Query: address (required). Same shape as BlueBubbles: { data: { online, available } }
+ * Backed by a daemon lookup; results are cached for HANDLE_AVAILABILITY_TTL_MS.
  */
-router.get('/api/v1/handle/availability/imessage', optionalAuthenticateToken, (req, res) => {
-  const address = (req.query?.address ?? '').toString().trim();
+const availabilityHandler = (service) => async (req, res) => {
+  const address = cleanAddress(req.query?.address);
   if (!address) {
     return res.status(400).json({ status: 400, message: 'address query parameter is required', error: 'address missing' });
   }
-  const cleanAddress = address
-    .replace(/\r/g, '')
-    .replace(/\n/g, '');
-  sendSuccess(res, { online: true, available: true });
+  try {
+    const normalized = normalizeAddress(address);
+    const key = `${service}:${normalized}`;
+    const cached = availabilityCache.get(key);
+    if (cached && Date.now() - cached.at < HANDLE_AVAILABILITY_TTL_MS) {
+      return sendSuccess(res, cached.value);
+    }
+
+    const result = await swiftDaemon.getHandleAvailability(normalized, service);
+    const available = Boolean(result.available);
+    const value = { online: result.online != null ? Boolean(result.online) : available, available };
+    if (availabilityCache.size >= HANDLE_AVAILABILITY_CACHE_MAX) availabilityCache.clear();
+    availabilityCache.set(key, { value, at: Date.now() });
+    sendSuccess(res, value);
+  } catch (error) {
+    logger.error(`${service} availability error: ${error.message}`);
+    sendBlueBubblesError(res, 500, error.message, { type: BLUEBUBBLES_ERROR_TYPES.SERVER_ERROR });
+  }
+};
+
+router.get('/api/v1/handle/availability/imessage', optionalAuthenticateToken, availabilityHandler('iMessage'));
+router.get('/api/v1/handle/availability/facetime', optionalAuthenticateToken, availabilityHandler('FaceTime'));
+
+/**
+ * GET /api/v1/handle/count
+ * Official: returns { data: { total } } from the handle table.
+ */
+router.get('/api/v1/handle/count', optionalAuthenticateToken, async (req, res) => {
+  try {
+    const stats = await swiftDaemon.getStatisticsTotals({ only: 'handle' });
+    sendSuccess(res, { total: stats?.handles ?? 0 });
+  } catch (error) {
+    logger.error(`Handle count error: ${error.message}`);
+    sendError(res, 500, error.message);
+  }
+});
+
+/**
+ * POST /api/v1/handle/query
+ * BlueBubbles-compatible: body.address (optional filter), body.with (chats), body.offset, body.limit.
+ */
+router.post('/api/v1/handle/query', optionalAuthenticateToken, async (req, res) => {
+  try {
+    const body = req.body || {};
+    const withChats = parseWithQuery(body.with).includes('chats');
+    const address = body.address != null ? cleanAddress(body.address) : '';
+    const offsetRaw = body.offset != null ? parseInt(body.offset, 10) : 0;
+    const offset = Number.isNaN(offsetRaw) || offsetRaw < 0 ? 0 : offsetRaw;
+    const limitRaw = body.limit != null ? parseInt(body.limit, 10) : 1000;
+    const limit = Math.min(Math.max(Number.isNaN(limitRaw) ? 1000 : limitRaw, 1), 1000);
+
+    const wanted = normalizeAddress(address);
+    let handles = await swiftDaemon.getHandles({ address: wanted || undefined });
+    if (wanted) {
+      handles = handles.filter(h => normalizeAddress(h.address ?? h.id).includes(wanted));
+    }
+
+    const total = handles.length;
+    const sliced = handles.slice(offset, offset + limit);
+    const chats = withChats ? await chatsForHandles(sliced) : [];
+    const results = sliced.map((handle, i) => toHandleResponse(handle, withChats ? chats[i] : null));
+
+    sendSuccess(res, results, 'Success', 200, {
+      count: results.length,
+      total,
+      offset,
+      limit
+    });
+  } catch (error) {
+    logger.error(`Handle query error: ${error.message}`);
+    sendError(res, 500, error.message);
+  }
 });
 
 /**
  * GET /api/v1/handle/:address/focus
- * Returns focus status for a handle (address). Clients expect this; return stub to avoid 404.
- * Same shape as BlueBubbles NativeBackend: { data: { address, focused } }
+ * Focus status shared by a handle. Same shape as BlueBubbles NativeBackend: { data: { address, focused } }
+ * plus status ("focused", "none" or "unknown"); focused is null when the daemon cannot tell.
  */
-router.get('/api/v1/handle/:address/focus', optionalAuthenticateToken, (req, res) => {
-  const address = req.params?.address?.trim();
+router.get('/api/v1/handle/:address/focus', optionalAuthenticateToken, async (req, res) => {
+  const address = cleanAddress(req.params?.address);
   if (!address) {
     return res.status(400).json({ status: 400, message: 'address missing', error: 'address missing' });
   }
-  const cleanAddress = address
-    .replace(/\r/g, '')
-    .replace(/\n/g, '');
-  sendSuccess(res, { address: cleanAddress, focused: true });
+  let focused = null;
+  try {
+    const result = await swiftDaemon.getHandleFocus(normalizeAddress(address));
+    if (typeof result?.focused === 'boolean') focused = result.focused;
+  } catch (error) {
+    logger.debug(`Focus status unavailable for ${address}: ${error.message}`);
+  }
+  sendSuccess(res, { address, focused, status: focused == null ? 'unknown' : focused ? 'focused' : 'none' });
+});
+
+/**
+ * GET /api/v1/handle/:guid
+ * Single handle. Query: with (chats). Registered after the fixed /handle/* GET routes.
+ */
+router.get('/api/v1/handle/:guid', optionalAuthenticateToken, async (req, res) => {
+  try {
+    // Accept "service;-;address" or a bare address in any format
+    const raw = cleanAddress(req.params.guid);
+    const idx = raw.indexOf(';-;');
+    const guid = idx >= 0 ? `${raw.slice(0, idx + 3)}${normalizeAddress(raw.slice(idx + 3))}` : normalizeAddress(raw);
+    const handle = await swiftDaemon.getHandle(guid);
+    if (!handle) {
+      return sendBlueBubblesError(res, 404, 'Handle does not exist!', { type: BLUEBUBBLES_ERROR_TYPES.DATABASE_ERROR });
+    }
+    const withChats = parseWithQuery(req.query?.with).includes('chats');
+    const chats = withChats ? (await chatsForHandles([handle]))[0] : null;
+    sendSuccess(res, toHandleResponse(handle, chats));
+  } catch (error) {
+    logger.error(`Get handle error: ${error.message}`);
+    sendError(res, 500, error.message);
+  }
 });
 
 export default router;
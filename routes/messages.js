@@ -1,17 +1,30 @@
 import express from 'express';
 import axios from 'axios';
 import path from 'path';
-import os from 'os';
 import fs from 'fs';
 import crypto from 'crypto';
 import multer from 'multer';
 import swiftDaemon from '../services/swift-daemon.js';
-import sendCache from '../services/send-cache.js';
+import sendQueue, { QUEUE_STATES } from '../services/send-queue.js';
+import storageManager from '../services/storage-manager.js';
+import attachmentMetadata from '../services/attachment-metadata.js';
+import scheduledMessages, { SCHEDULE_STATUSES, normalizeScheduleInput } from '../services/scheduled-messages.js';
 import { optionalAuthenticateToken } from '../middleware/auth.js';
 import logger from '../config/logger.js';
 import { sendSuccess, sendError, sendBlueBubblesError, BLUEBUBBLES_ERROR_TYPES } from '../utils/envelope.js';
 import { toClientTimestamp, unixMsToAppleNs } from '../utils/dates.js';
 import { withIncludesAttachment, normalizeAttachments, normalizeAttachment, getPrivateApiDir, resolveAttachmentPaths } from '../utils/attachments.js';
+import { toMessageResponse, toThreadOriginatorPart } from '../utils/messages.js';
+import { normalizeReaction, ALL_REACTION_TYPES } from '../utils/reactions.js';
+import { parseMessageQuery, matchesMessageQuery } from '../utils/message-query.js';
+import { normalizeEffectId, MESSAGE_EFFECTS } from '../utils/effects.js';
+import { toChatResponse, parseWithQuery } from './chats.js';
+import { resolveChatGuid } from '../services/chat-creation.js';
+import { createDiskCache } from '../services/disk-cache.js';
+import { parseResizeQuery, getAttachmentVariant } from '../services/attachment-variants.js';
+import { sendCachedBytes } from '../utils/http-cache.js';
+import { runImageTask } from '../services/image-workers.js';
+import { detectImageType, canDecode, BLURHASH_QUALITIES } from '../utils/images.js';
 
 const router = express.Router();
 
@@ -20,34 +33,6 @@ try {
   fs.mkdirSync(privateApiDir, { recursive: true });
 } catch (_) {}
 
-// Temp dir for POST /api/v1/message/attachment (direct send)
-const uploadDir = path.join(os.tmpdir(), 'bluebubbles-uploads');
-try {
-  fs.mkdirSync(uploadDir, { recursive: true });
-} catch (_) {}
-
-/** Delay (ms) before deleting a sent attachment temp file so Messages.app can read it. Prevents "Not Delivered". */
-const ATTACHMENT_DELETE_DELAY_MS = (() => {
-  const raw = process.env.ATTACHMENT_DELETE_DELAY_MS;
-  const n = raw != null ? parseInt(String(raw), 10) : NaN;
-  // Default 10 minutes; allow override via env var
-  return Number.isFinite(n) && n >= 0 ? n : 10 * 60 * 1000;
-})();
-function scheduleAttachmentCleanup(filePath) {
-  if (!filePath || typeof filePath !== 'string') return;
-  // Never delete files stored in the official BlueBubbles private API dir (Messages can reference them).
-  try {
-    const resolved = path.resolve(filePath);
-    const privRoot = path.resolve(privateApiDir);
-    if (resolved === privRoot || resolved.startsWith(privRoot + path.sep)) return;
-  } catch (_) {}
-  setTimeout(() => {
-    try {
-      if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
-    } catch (_) {}
-  }, ATTACHMENT_DELETE_DELAY_MS);
-}
-
 // Official BlueBubbles: filename = original name, no path segments
 function sanitizeAttachmentFilename(name) {
   const base = (name && typeof name === 'string') ? name.trim() : '';
@@ -74,6 +59,9 @@ const uploadToPrivateApi = multer({
   limits: { fileSize: 500 * 1024 * 1024 }
 }).single('attachment');
 
+/** Send methods accepted by the official server (private-api needed for effects, subjects and replies on macOS). */
+const SEND_METHODS = ['apple-script', 'private-api'];
+
 /** n8n (or other) webhook URL - when set, POST message payload on send (fire-and-forget). */
 const WEBHOOK_URL = process.env.N8N_WEBHOOK_URL || process.env.WEBHOOK_MESSAGE_SENT_URL || '';
 
@@ -110,10 +98,13 @@ function toMessagePayload(msg, chatGuid, opts = {}) {
     isFromMe: msg.isFromMe !== false,
     type: msg.type || 'text',
     subject: msg.subject || null,
+    expressiveSendStyleId: msg.expressiveSendStyleId || null,
     error: errorCode,
     attachments: normalizeAttachments(msg.attachments || []),
     associatedMessageGuid: msg.associatedMessageGuid || null,
-    associatedMessageType: msg.associatedMessageType || null
+    associatedMessageType: msg.associatedMessageType || null,
+    threadOriginatorGuid: msg.threadOriginatorGuid || null,
+    threadOriginatorPart: toThreadOriginatorPart(msg.threadOriginatorPart)
   };
   if (tempGuid) payload.tempGuid = tempGuid;
   return payload;
@@ -134,7 +125,7 @@ function parseOptionalNum(val) {
 
 router.get('/api/v1/chat/:chatGuid/message', optionalAuthenticateToken, async (req, res) => {
   try {
-    const { chatGuid } = req.params;
+    const chatGuid = await resolveChatGuid(req.params.chatGuid);
     const limitRaw = req.query?.limit != null ? parseInt(req.query.limit, 10) : 50;
     const limit = Math.min(Math.max(Number.isNaN(limitRaw) ? 50 : limitRaw, 1), 1000);
     const offset = Math.max(0, parseOptionalNum(req.query?.offset) ?? 0);
@@ -197,7 +188,9 @@ router.get('/api/v1/chat/:chatGuid/message', optionalAuthenticateToken, async (r
       type: msg.type || 'text',
       error: msg.error != null ? Number(msg.error) : 0,
       associatedMessageGuid: msg.associatedMessageGuid || null,
-      associatedMessageType: msg.associatedMessageType || null
+      associatedMessageType: msg.associatedMessageType || null,
+      threadOriginatorGuid: msg.threadOriginatorGuid ?? msg.thread_originator_guid ?? null,
+      threadOriginatorPart: toThreadOriginatorPart(msg.threadOriginatorPart ?? msg.thread_originator_part)
       };
     });
 
@@ -217,16 +210,18 @@ router.get('/api/v1/chat/:chatGuid/message', optionalAuthenticateToken, async (r
 
 /**
  * POST /api/v1/message/text
- * Send text message (processing matches bluebubbles-server: sendCache, tempGuid, message payload, error shape).
- * Body: { chatGuid, message } or { chatGuid, text } required (official server uses "message"); { tempGuid, method, subject, effectId } optional.
+ * Send text message (processing matches bluebubbles-server: send queue, tempGuid, message payload, error shape).
+ * Body: { chatGuid, message } or { chatGuid, text } required (official server uses "message");
+ * { tempGuid, method, subject, effectId, selectedMessageGuid, partIndex } optional (selectedMessageGuid makes it an inline reply).
+ * method is apple-script or private-api; effectId is an expressiveSendStyleId or short name (slam, loud, confetti, ...).
  */
 router.post('/api/v1/message/text', optionalAuthenticateToken, async (req, res) => {
   const tempGuidOrFallback = req.body?.tempGuid || `temp-${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
 
   try {
-    const { chatGuid: bodyChatGuid, tempGuid, text, message: bodyMessage, method = 'apple-script', subject, effectId, attachmentPaths } = req.body || {};
+    const { chatGuid: bodyChatGuid, tempGuid, text, message: bodyMessage, method = 'apple-script', subject, effectId, attachmentPaths, selectedMessageGuid } = req.body || {};
     // Allow chat identifier from query ?guid=... for client compatibility (e.g. BlueBubbles app)
-    const chatGuid = bodyChatGuid ?? req.query?.guid ?? null;
+    const chatGuid = await resolveChatGuid(bodyChatGuid ?? req.query?.guid ?? null);
 
     // Official BlueBubbles server uses "message" in body; accept both "message" and "text"
     const textStr = (bodyMessage != null ? String(bodyMessage) : text != null ? String(text) : '').trim();
@@ -237,9 +232,17 @@ router.post('/api/v1/message/text', optionalAuthenticateToken, async (req, res)
     if (!chatGuid || (textStr === '' && paths.length === 0)) {
       return sendError(res, 400, 'chatGuid and (non-empty text or attachmentPaths) are required', 'Bad Request');
     }
+    if (method != null && !SEND_METHODS.includes(method)) {
+      return sendError(res, 400, `Invalid method! Must be one of: ${SEND_METHODS.join(', ')}`, 'Bad Request');
+    }
+    const expressiveSendStyleId = effectId ? normalizeEffectId(effectId) : null;
+    if (effectId && !expressiveSendStyleId) {
+      return sendError(res, 400, `Invalid effectId! Must be one of: ${Object.keys(MESSAGE_EFFECTS).join(', ')} (or the full effect identifier)`, 'Bad Request');
+    }
+    const subjectStr = subject != null && String(subject).trim() !== '' ? String(subject) : null;
 
-    // Match bluebubbles-server: reject if message already queued (tempGuid in sendCache)
-    if (sendCache.find(tempGuidOrFallback)) {
+    // Match bluebubbles-server: reject if message already queued (tempGuid pending in send queue)
+    if (sendQueue.isPending(tempGuidOrFallback)) {
       return sendError(
         res,
         400,
@@ -248,12 +251,21 @@ router.post('/api/v1/message/text', optionalAuthenticateToken, async (req, res)
       );
     }
 
-    sendCache.add(tempGuidOrFallback);
+    const partIndex = selectedMessageGuid ? (parseOptionalNum(req.body?.partIndex) ?? 0) : undefined;
 
     try {
-      const result = await swiftDaemon.sendMessage(chatGuid, textStr, {
-        attachmentPaths: paths.length ? paths : undefined,
-        tempGuid: tempGuidOrFallback
+      const result = await sendQueue.send({
+        tempGuid: tempGuidOrFallback,
+        chatGuid,
+        text: textStr,
+        opts: {
+          attachmentPaths: paths.length ? paths : undefined,
+          selectedMessageGuid: selectedMessageGuid || undefined,
+          partIndex,
+          subject: subjectStr || undefined,
+          effectId: expressiveSendStyleId || undefined,
+          method: method || undefined
+        }
       });
 
       const sentMessage = {
@@ -263,14 +275,15 @@ router.post('/api/v1/message/text', optionalAuthenticateToken, async (req, res)
         dateCreated: result?.dateCreated ?? Date.now(),
         isFromMe: true,
         type: 'text',
-        subject: subject || null,
-        error: 0
+        subject: result?.subject ?? subjectStr,
+        expressiveSendStyleId: result?.expressiveSendStyleId ?? expressiveSendStyleId,
+        error: 0,
+        threadOriginatorGuid: result?.threadOriginatorGuid ?? selectedMessageGuid ?? null,
+        threadOriginatorPart: result?.threadOriginatorPart ?? partIndex
       };
 
       const data = toMessagePayload(sentMessage, chatGuid, { tempGuid: tempGuidOrFallback });
 
-      sendCache.remove(tempGuidOrFallback);
-
       if (req.io) {
         req.io.to(chatGuid).emit('message.created', data);
       }
@@ -281,7 +294,6 @@ router.post('/api/v1/message/text', optionalAuthenticateToken, async (req, res)
 
       return sendSuccess(res, data, 'Message sent!', 200);
     } catch (sendErr) {
-      sendCache.remove(tempGuidOrFallback);
       const errorMessage = sendErr?.message ?? 'Failed to send message';
       logger.error(`Send message error: ${errorMessage}`);
 
@@ -308,12 +320,188 @@ router.post('/api/v1/message/text', optionalAuthenticateToken, async (req, res)
       });
     }
   } catch (error) {
-    sendCache.remove(tempGuidOrFallback);
     logger.error(`Send message error: ${error.message}`);
     sendError(res, 500, error.message);
   }
 });
 
+/**
+ * Validate and normalize multipart "parts" (official shape: { partIndex?, text?, attachment?, name?, mention? }).
+ * attachment is the "uuid/filename" path returned by /api/v1/attachment/upload.
+ * @returns {{ parts?: Array, error?: string }} Parts ordered by partIndex (array order when omitted)
+ */
+function normalizeMultipartParts(rawParts) {
+  if (!Array.isArray(rawParts) || rawParts.length === 0) {
+    return { error: 'parts must be a non-empty array' };
+  }
+  const parts = [];
+  for (const [i, raw] of rawParts.entries()) {
+    const text = raw?.text != null ? String(raw.text) : '';
+    const attachment = raw?.attachment ? String(raw.attachment) : null;
+    if (!text && !attachment) {
+      return { error: `Part ${i} must have text or an attachment` };
+    }
+    let attachmentPath = null;
+    if (attachment) {
+      [attachmentPath] = resolveAttachmentPaths([attachment]);
+      if (!fs.existsSync(attachmentPath)) {
+        return { error: `Attachment for part ${i} does not exist: ${attachment}` };
+      }
+    }
+    parts.push({
+      partIndex: parseOptionalNum(raw?.partIndex) ?? i,
+      text,
+      attachmentPath,
+      attachmentName: attachmentPath ? sanitizeAttachmentFilename(raw?.name || path.basename(attachmentPath)) : null,
+      mention: raw?.mention ? String(raw.mention) : null
+    });
+  }
+  parts.sort((a, b) => a.partIndex - b.partIndex);
+  return { parts };
+}
+
+/**
+ * POST /api/v1/message/multipart
+ * Send text, attachments and mentions as one message (parts go to the daemon in order in a single send).
+ * Body: { chatGuid, parts: [{ partIndex?, text?, attachment?, name?, mention? }] } required;
+ * { tempGuid, subject, effectId, selectedMessageGuid, partIndex, method } optional (same as /message/text).
+ */
+router.post('/api/v1/message/multipart', optionalAuthenticateToken, async (req, res) => {
+  const { chatGuid: rawChatGuid, subject, effectId, selectedMessageGuid, method } = req.body || {};
+  const tempGuid = req.body?.tempGuid || `temp-${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+
+  if (!rawChatGuid) {
+    return sendError(res, 400, 'chatGuid is required', 'Bad Request');
+  }
+  const { parts, error: partsError } = normalizeMultipartParts(req.body?.parts);
+  if (partsError) {
+    return sendError(res, 400, partsError, 'Bad Request');
+  }
+  if (method != null && !SEND_METHODS.includes(method)) {
+    return sendError(res, 400, `Invalid method! Must be one of: ${SEND_METHODS.join(', ')}`, 'Bad Request');
+  }
+  const expressiveSendStyleId = effectId ? normalizeEffectId(effectId) : null;
+  if (effectId && !expressiveSendStyleId) {
+    return sendError(res, 400, `Invalid effectId! Must be one of: ${Object.keys(MESSAGE_EFFECTS).join(', ')} (or the full effect identifier)`, 'Bad Request');
+  }
+  if (sendQueue.isPending(tempGuid)) {
+    return sendError(res, 400, `Message is already queued to be sent (Temp GUID: ${tempGuid})!`, 'Bad Request');
+  }
+
+  const subjectStr = subject != null && String(subject).trim() !== '' ? String(subject) : null;
+  const partIndex = selectedMessageGuid ? (parseOptionalNum(req.body?.partIndex) ?? 0) : undefined;
+  // Combined text as the recipient sees it (parts are concatenated as-is, like the official server)
+  const combinedText = parts.map(p => p.text).filter(Boolean).join('');
+  const chatGuid = await resolveChatGuid(rawChatGuid);
+  logger.info(`POST /api/v1/message/multipart chatGuid=${chatGuid} parts=${parts.length} attachments=${parts.filter(p => p.attachmentPath).length}`);
+
+  try {
+    const result = await sendQueue.send({
+      tempGuid,
+      chatGuid,
+      text: combinedText,
+      opts: {
+        parts,
+        selectedMessageGuid: selectedMessageGuid || undefined,
+        partIndex,
+        subject: subjectStr || undefined,
+        effectId: expressiveSendStyleId || undefined,
+        method: method || undefined
+      }
+    });
+
+    const data = toMessagePayload(
+      {
+        guid: result?.guid || tempGuid,
+        text: result?.text ?? combinedText,
+        chatGuid,
+        dateCreated: result?.dateCreated ?? Date.now(),
+        isFromMe: true,
+        type: 'text',
+        subject: result?.subject ?? subjectStr,
+        expressiveSendStyleId: result?.expressiveSendStyleId ?? expressiveSendStyleId,
+        attachments: result?.attachments || [],
+        threadOriginatorGuid: result?.threadOriginatorGuid ?? selectedMessageGuid ?? null,
+        threadOriginatorPart: result?.threadOriginatorPart ?? partIndex
+      },
+      chatGuid,
+      { tempGuid }
+    );
+
+    req.socketManager?.broadcastToChat(chatGuid, 'message.created', data);
+    fireMessageSentWebhook(data);
+    logger.info(`Multipart message sent to chat ${chatGuid} (${parts.length} parts)`);
+    return sendSuccess(res, data, 'Message sent!', 200);
+  } catch (sendErr) {
+    logger.error(`Send multipart message error: ${sendErr?.message ?? sendErr}`);
+    const errorData = toMessagePayload(
+      { guid: null, text: combinedText, chatGuid, dateCreated: Date.now(), isFromMe: true, type: 'text' },
+      chatGuid,
+      { tempGuid, errorCode: 4 }
+    );
+    return res.status(500).json({
+      status: 500,
+      message: 'Message Send Error',
+      error: 'Failed to send message! See attached message error code.',
+      data: errorData
+    });
+  }
+});
+
+/**
+ * POST /api/v1/message/react
+ * Send a tapback (matches bluebubbles-server: validates reaction, returns the reaction message).
+ * Body: { chatGuid, selectedMessageGuid, reaction } required; { selectedMessageText, partIndex } optional.
+ */
+router.post('/api/v1/message/react', optionalAuthenticateToken, async (req, res) => {
+  const { chatGuid, selectedMessageGuid, selectedMessageText, reaction: rawReaction, partIndex: rawPartIndex } = req.body || {};
+
+  if (!chatGuid) {
+    return sendError(res, 400, 'chatGuid is required', 'Bad Request');
+  }
+  if (!selectedMessageGuid) {
+    return sendError(res, 400, 'selectedMessageGuid is required', 'Bad Request');
+  }
+  const reaction = normalizeReaction(rawReaction);
+  if (!reaction) {
+    return sendError(res, 400, `Invalid reaction! Must be one of: ${ALL_REACTION_TYPES.join(', ')}`, 'Bad Request');
+  }
+  const partIndex = parseOptionalNum(rawPartIndex) ?? 0;
+
+  try {
+    const result = await swiftDaemon.sendReaction(chatGuid, selectedMessageGuid, reaction, {
+      partIndex,
+      selectedMessageText: selectedMessageText != null ? String(selectedMessageText) : undefined
+    });
+
+    const data = toMessageResponse(
+      {
+        ...(result || {}),
+        guid: result?.guid ?? null,
+        text: result?.text ?? '',
+        isFromMe: true,
+        associatedMessageGuid: result?.associatedMessageGuid ?? selectedMessageGuid,
+        associatedMessageType: result?.associatedMessageType ?? reaction
+      },
+      chatGuid
+    );
+
+    if (req.io) {
+      req.io.to(chatGuid).emit('message.created', data);
+    }
+
+    logger.info(`Reaction ${reaction} sent to ${selectedMessageGuid} in chat ${chatGuid}`);
+
+    return sendSuccess(res, data, 'Reaction sent!', 200);
+  } catch (error) {
+    logger.error(`Send reaction error: ${error.message}`);
+    return sendBlueBubblesError(res, 500, error.message, {
+      message: 'Reaction Send Error',
+      type: BLUEBUBBLES_ERROR_TYPES.SERVER_ERROR
+    });
+  }
+});
+
 /**
  * POST /api/v1/typing-indicator
  * Send typing indicator
@@ -398,7 +586,7 @@ router.post('/api/v1/message/attachment', optionalAuthenticateToken, (req, res,
     next();
   });
 }, async (req, res) => {
-  const chatGuid = req.body?.chatGuid ?? req.query?.guid ?? null;
+  const chatGuid = await resolveChatGuid(req.body?.chatGuid ?? req.query?.guid ?? null);
   const tempGuid = req.body?.tempGuid ?? `temp-${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
 
   if (!chatGuid) {
@@ -410,23 +598,23 @@ router.post('/api/v1/message/attachment', optionalAuthenticateToken, (req, res,
     });
   }
 
-  if (sendCache.find(tempGuid)) {
+  if (sendQueue.isPending(tempGuid)) {
     return sendBlueBubblesError(res, 400, 'Attachment is already queued to be sent!', {
       type: BLUEBUBBLES_ERROR_TYPES.VALIDATION_ERROR
     });
   }
 
   const attachmentPath = req.file.path;
-  sendCache.add(tempGuid);
-
+  storageManager.track(attachmentPath, { kind: 'message-attachment' });
   try {
-    const result = await swiftDaemon.sendMessage(chatGuid, '', {
-      attachmentPaths: [attachmentPath],
-      tempGuid
+    const result = await sendQueue.send({
+      tempGuid,
+      chatGuid,
+      text: '',
+      opts: { attachmentPaths: [attachmentPath] }
     });
 
-    sendCache.remove(tempGuid);
-    // Do NOT delete: stored in private API dir for stability.
+    // Not deleted here: the storage manager keeps sent files for STORAGE_SENT_RETENTION_MS.
 
     const sentMessage = {
       guid: (result && result.guid) ? result.guid : tempGuid,
@@ -446,10 +634,7 @@ router.post('/api/v1/message/attachment', optionalAuthenticateToken, (req, res,
 
     return sendSuccess(res, data, 'Attachment sent!', 200);
   } catch (sendErr) {
-    sendCache.remove(tempGuid);
-    try {
-      fs.unlinkSync(attachmentPath);
-    } catch (_) {}
+    // File kept: the failed send can be retried via /message/queue/:tempGuid/retry; the storage manager deletes it later
     const errorMessage = sendErr?.message ?? 'Failed to send attachment';
     logger.error(`Send attachment error: ${errorMessage}`);
     const errorData = toMessagePayload(
@@ -495,10 +680,381 @@ router.get('/api/v1/message/count', optionalAuthenticateToken, async (req, res)
   }
 });
 
+/** Messages fetched per daemon call while a query pages through a chat or the updates feed. */
+const MESSAGE_QUERY_PAGE_SIZE = (() => {
+  const raw = process.env.MESSAGE_QUERY_PAGE_SIZE;
+  const n = raw != null ? parseInt(String(raw), 10) : NaN;
+  return Number.isFinite(n) && n > 0 ? n : 500;
+})();
+
+/**
+ * Every message matching a query. The daemon cannot filter, so the bridge pages until the range is exhausted
+ * and keeps only the matches: back through the chat's history from before (stopping at after), or for queries
+ * across chats forward through the updates feed from after (stopping at before).
+ * Pages overlap by a millisecond so messages sharing a timestamp aren't skipped; a page with no unseen
+ * message ends the walk.
+ * @returns {Promise<Array|null>} Matches oldest first (daemon order within a timestamp), or null when the query
+ *   spans chats and the daemon has no updates feed
+ */
+async function findQueryMatches(filters) {
+  const chunks = []; // matches per page, in the order the pages were fetched
+  const seen = new Set();
+  /** Filter one page; returns how many of its messages weren't seen on an earlier page. */
+  const scan = (page) => {
+    const matched = [];
+    chunks.push(matched);
+    let unseen = 0;
+    for (const msg of page) {
+      if (msg?.guid) {
+        if (seen.has(msg.guid)) continue;
+        seen.add(msg.guid);
+        unseen += 1;
+      }
+      if (matchesMessageQuery(msg, filters)) matched.push(msg);
+    }
+    return unseen;
+  };
+  const datesOf = (page) => page.map(msg => toClientTimestamp(msg.dateCreated) ?? 0);
+
+  if (filters.chatGuid) {
+    let beforeAppleNs = filters.before != null ? unixMsToAppleNs(filters.before) : undefined;
+    for (;;) {
+      const page = await swiftDaemon.getMessages(filters.chatGuid, MESSAGE_QUERY_PAGE_SIZE, beforeAppleNs);
+      if (!Array.isArray(page) || page.length === 0) break;
+      const unseen = scan(page.map(msg => ({ ...msg, chatGuid: msg.chatGuid || filters.chatGuid })));
+      const oldest = Math.min(...datesOf(page));
+      if (unseen === 0 || page.length < MESSAGE_QUERY_PAGE_SIZE) break;
+      if (filters.after != null && oldest < filters.after) break;
+      beforeAppleNs = unixMsToAppleNs(oldest + 1);
+    }
+    // Pages went back in time; each page is oldest first
+    return chunks.reverse().flat();
+  }
+
+  if (!swiftDaemon.supportsUpdates) return null;
+  // Updates are "since" (exclusive); step back 1ms so after stays inclusive
+  let since = filters.after != null ? filters.after - 1 : 0;
+  for (;;) {
+    const updates = await swiftDaemon.getUpdates(since);
+    if (!swiftDaemon.supportsUpdates) return null;
+    const page = Array.isArray(updates?.messages) ? updates.messages : [];
+    if (page.length === 0) break;
+    const unseen = scan(page);
+    const newest = Math.max(...datesOf(page));
+    if (unseen === 0) break;
+    if (filters.before != null && newest >= filters.before) break;
+    since = Math.max(since, newest - 1);
+  }
+  return chunks.flat();
+}
+
+/**
+ * POST /api/v1/message/query
+ * Official body: { chatGuid?, with?, where?: [{ statement, args }], sort?, before?, after?, offset?, limit? }.
+ * Supported where columns: message.text (LIKE/=), message.is_from_me, message.cache_has_attachments,
+ * message.date_created, chat.guid. Without a chat the search runs over the daemon's updates feed; daemons
+ * without one answer 501. Metadata total is the number of matching messages.
+ */
+router.post('/api/v1/message/query', optionalAuthenticateToken, async (req, res) => {
+  const { query, error } = parseMessageQuery(req.body ?? {});
+  if (error) {
+    return sendError(res, 400, error, 'Bad Request');
+  }
+  try {
+    const { filters, sort, offset, limit } = query;
+    const matched = await findQueryMatches(filters);
+    if (!matched) {
+      return sendError(res, 501, 'The Swift daemon has no updates feed, so messages can only be searched within a chat (pass a chatGuid)', 'Not Implemented');
+    }
+
+    const dateOf = (msg) => toClientTimestamp(msg.dateCreated) ?? 0;
+    // Stable sort keeps the daemon's order for equal timestamps; DESC is the exact reverse
+    matched.sort((a, b) => dateOf(a) - dateOf(b));
+    if (sort === 'DESC') matched.reverse();
+    const page = matched.slice(offset, offset + limit);
+
+    const includeChats = query.with.some(w => w === 'chat' || w === 'chats' || w.startsWith('chat.'));
+    const includeParticipants = query.with.includes('chat.participants') || query.with.includes('chats.participants');
+    const includeAttachments = query.with.some(w => w === 'attachment' || w === 'attachments');
+    const includeHandle = query.with.includes('handle');
+    let chatsByGuid = null;
+    if (includeChats) {
+      const allChats = await swiftDaemon.getChats().catch(() => []);
+      chatsByGuid = new Map(allChats.map(c => [c.guid, c]));
+    }
+
+    const data = page.map(msg => {
+      const chat = chatsByGuid ? (chatsByGuid.get(msg.chatGuid) ?? { guid: msg.chatGuid }) : null;
+      const chats = chat ? [toChatResponse(chat, { includeParticipants, includeLastMessage: false })] : null;
+      return toMessageResponse(
+        {
+          ...msg,
+          attachments: includeAttachments ? msg.attachments : [],
+          handle: msg.handle ?? (includeHandle && msg.sender ? { address: msg.sender } : null)
+        },
+        msg.chatGuid,
+        chats
+      );
+    });
+
+    return sendSuccess(res, data, 'Success', 200, { offset, limit, total: matched.length, count: data.length });
+  } catch (err) {
+    logger.error(`Message query error: ${err.message}`);
+    return sendError(res, 500, err.message);
+  }
+});
+
+/**
+ * GET /api/v1/message/queue
+ * Inspect the outbound send queue. Query: state (queued|sending|sent|failed), chatGuid.
+ */
+router.get('/api/v1/message/queue', optionalAuthenticateToken, (req, res) => {
+  const state = req.query?.state ? String(req.query.state).trim().toLowerCase() : null;
+  if (state && !Object.values(QUEUE_STATES).includes(state)) {
+    return sendError(res, 400, `Invalid state! Must be one of: ${Object.values(QUEUE_STATES).join(', ')}`, 'Bad Request');
+  }
+  const chatGuid = req.query?.chatGuid ? String(req.query.chatGuid) : null;
+  const items = sendQueue.list({ state, chatGuid });
+  return sendSuccess(res, items, 'Success', 200, { count: items.length });
+});
+
+/**
+ * DELETE /api/v1/message/queue/:tempGuid
+ * Cancel a queued or failed send. In-flight sends cannot be cancelled.
+ */
+router.delete('/api/v1/message/queue/:tempGuid', optionalAuthenticateToken, (req, res) => {
+  const { tempGuid } = req.params;
+  const item = sendQueue.get(tempGuid);
+  if (!item) {
+    return sendError(res, 404, 'Queued message does not exist!', 'Not Found');
+  }
+  if (item.state === QUEUE_STATES.SENDING) {
+    return sendError(res, 400, 'Message is currently being sent and cannot be cancelled', 'Bad Request');
+  }
+  sendQueue.cancel(tempGuid);
+  return sendSuccess(res, item, 'Successfully removed queued message!');
+});
+
+/**
+ * POST /api/v1/message/queue/:tempGuid/retry
+ * Re-queue a failed send. The outcome is broadcast as message.created or message-send-error.
+ */
+router.post('/api/v1/message/queue/:tempGuid/retry', optionalAuthenticateToken, (req, res) => {
+  const { tempGuid } = req.params;
+  const item = sendQueue.get(tempGuid);
+  if (!item) {
+    return sendError(res, 404, 'Queued message does not exist!', 'Not Found');
+  }
+  if (item.state !== QUEUE_STATES.FAILED) {
+    return sendError(res, 400, 'Only failed messages can be retried', 'Bad Request');
+  }
+  sendQueue.retry(tempGuid);
+  return sendSuccess(res, sendQueue.get(tempGuid), 'Message re-queued!');
+});
+
+/**
+ * GET /api/v1/message/schedule
+ * List scheduled messages. Query: status (pending|in-progress|complete|error).
+ */
+router.get('/api/v1/message/schedule', optionalAuthenticateToken, (req, res) => {
+  const status = req.query?.status ? String(req.query.status).trim().toLowerCase() : null;
+  if (status && !Object.values(SCHEDULE_STATUSES).includes(status)) {
+    return sendError(res, 400, `Invalid status! Must be one of: ${Object.values(SCHEDULE_STATUSES).join(', ')}`, 'Bad Request');
+  }
+  const items = scheduledMessages.list({ status });
+  return sendSuccess(res, items, 'Success', 200, { count: items.length });
+});
+
+/**
+ * POST /api/v1/message/schedule
+ * Body: { type: 'send-message', payload: { chatGuid, message, attachmentPaths? }, scheduledFor, schedule? }
+ * or the flat form { chatGuid, text, attachmentPaths?, sendAt, recurrence?: 'daily'|'weekly'|... }.
+ */
+router.post('/api/v1/message/schedule', optionalAuthenticateToken, (req, res) => {
+  const { value, error } = normalizeScheduleInput(req.body ?? {});
+  if (error) {
+    return sendError(res, 400, error, 'Bad Request');
+  }
+  const item = scheduledMessages.create(value);
+  return sendSuccess(res, item, 'Successfully scheduled message!');
+});
+
+/**
+ * GET /api/v1/message/schedule/:id
+ */
+router.get('/api/v1/message/schedule/:id', optionalAuthenticateToken, (req, res) => {
+  const item = scheduledMessages.get(req.params.id);
+  if (!item) {
+    return sendError(res, 404, 'Scheduled message does not exist!', 'Not Found');
+  }
+  return sendSuccess(res, item);
+});
+
+/**
+ * PUT /api/v1/message/schedule/:id
+ * Same body as POST; omitted fields keep their current value. Resets the item to pending.
+ */
+router.put('/api/v1/message/schedule/:id', optionalAuthenticateToken, (req, res) => {
+  const existing = scheduledMessages.get(req.params.id);
+  if (!existing) {
+    return sendError(res, 404, 'Scheduled message does not exist!', 'Not Found');
+  }
+  if (existing.status === SCHEDULE_STATUSES.IN_PROGRESS) {
+    return sendError(res, 400, 'Message is currently being sent and cannot be updated', 'Bad Request');
+  }
+  const { value, error } = normalizeScheduleInput(req.body ?? {}, existing);
+  if (error) {
+    return sendError(res, 400, error, 'Bad Request');
+  }
+  const item = scheduledMessages.update(existing.id, value);
+  return sendSuccess(res, item, 'Successfully updated scheduled message!');
+});
+
+/**
+ * DELETE /api/v1/message/schedule/:id
+ */
+router.delete('/api/v1/message/schedule/:id', optionalAuthenticateToken, (req, res) => {
+  const existing = scheduledMessages.get(req.params.id);
+  if (!existing) {
+    return sendError(res, 404, 'Scheduled message does not exist!', 'Not Found');
+  }
+  scheduledMessages.remove(existing.id);
+  return sendSuccess(res, existing, 'Successfully deleted scheduled message!');
+});
+
+/**
+ * Serialize a single daemon message honoring `with` (chats, chats.participants, attachment, handle).
+ * @param {Object} msg - Daemon message
+ * @param {string[]} withQuery - Parsed with values
+ */
+async function toSingleMessageResponse(msg, withQuery) {
+  const includeChats = withQuery.some(w => w === 'chat' || w === 'chats' || w.startsWith('chat.') || w.startsWith('chats.'));
+  const includeParticipants = withQuery.includes('chat.participants') || withQuery.includes('chats.participants');
+  const includeAttachments = withQuery.includes('attachment') || withQuery.includes('attachments');
+  const includeHandle = withQuery.includes('handle');
+
+  let chats = null;
+  if (includeChats && msg.chatGuid) {
+    const chat = includeParticipants
+      ? (await swiftDaemon.getChat(msg.chatGuid).catch(() => null)) ?? { guid: msg.chatGuid }
+      : { guid: msg.chatGuid };
+    chats = [toChatResponse(chat, { includeParticipants, includeLastMessage: false })];
+  }
+  return toMessageResponse(
+    {
+      ...msg,
+      attachments: includeAttachments ? msg.attachments : [],
+      handle: msg.handle ?? (includeHandle && msg.sender ? { address: msg.sender } : null)
+    },
+    msg.chatGuid,
+    chats
+  );
+}
+
+/**
+ * Respond with an edited/unsent message and push it to the chat room as message-updated.
+ */
+function sendUpdatedMessage(req, res, guid, updated, original, successMessage) {
+  const chatGuid = updated?.chatGuid || original.chatGuid;
+  const data = toMessageResponse({ ...original, ...(updated || {}), guid }, chatGuid);
+  if (chatGuid) {
+    req.socketManager?.broadcastToChat(chatGuid, 'message-updated', data);
+  }
+  return sendSuccess(res, data, successMessage);
+}
+
+/**
+ * POST /api/v1/message/:guid/edit
+ * Body: { editedMessage, backwardsCompatibilityMessage?, partIndex? }
+ */
+router.post('/api/v1/message/:guid/edit', optionalAuthenticateToken, async (req, res) => {
+  const { guid } = req.params;
+  const { editedMessage, backwardsCompatibilityMessage, partIndex: rawPartIndex } = req.body || {};
+  if (editedMessage == null || String(editedMessage).trim() === '') {
+    return sendError(res, 400, 'editedMessage is required', 'Bad Request');
+  }
+  try {
+    const original = await swiftDaemon.getMessage(guid);
+    if (!original) {
+      return sendError(res, 404, 'Message does not exist!', 'Not Found');
+    }
+    if (original.isFromMe === false) {
+      return sendError(res, 400, 'Only messages sent from this device can be edited', 'Bad Request');
+    }
+    const updated = await swiftDaemon.editMessage(guid, String(editedMessage), {
+      backwardsCompatibilityMessage: backwardsCompatibilityMessage != null ? String(backwardsCompatibilityMessage) : undefined,
+      partIndex: parseOptionalNum(rawPartIndex) ?? 0
+    });
+    if (!updated) {
+      return sendError(res, 404, 'Message does not exist!', 'Not Found');
+    }
+    logger.info(`Edited message ${guid}`);
+    return sendUpdatedMessage(req, res, guid, { text: String(editedMessage), dateEdited: Date.now(), ...updated }, original, 'Message edited!');
+  } catch (error) {
+    logger.error(`Edit message error: ${error.message}`);
+    return sendBlueBubblesError(res, 500, error.message, {
+      message: 'Message Edit Error',
+      type: BLUEBUBBLES_ERROR_TYPES.SERVER_ERROR
+    });
+  }
+});
+
+/**
+ * POST /api/v1/message/:guid/unsend
+ * Body: { partIndex? }
+ */
+router.post('/api/v1/message/:guid/unsend', optionalAuthenticateToken, async (req, res) => {
+  const { guid } = req.params;
+  try {
+    const original = await swiftDaemon.getMessage(guid);
+    if (!original) {
+      return sendError(res, 404, 'Message does not exist!', 'Not Found');
+    }
+    if (original.isFromMe === false) {
+      return sendError(res, 400, 'Only messages sent from this device can be unsent', 'Bad Request');
+    }
+    const updated = await swiftDaemon.unsendMessage(guid, {
+      partIndex: parseOptionalNum(req.body?.partIndex) ?? 0
+    });
+    if (!updated) {
+      return sendError(res, 404, 'Message does not exist!', 'Not Found');
+    }
+    logger.info(`Unsent message ${guid}`);
+    return sendUpdatedMessage(req, res, guid, { text: '', attachments: [], dateRetracted: Date.now(), ...updated }, original, 'Message unsent!');
+  } catch (error) {
+    logger.error(`Unsend message error: ${error.message}`);
+    return sendBlueBubblesError(res, 500, error.message, {
+      message: 'Message Unsend Error',
+      type: BLUEBUBBLES_ERROR_TYPES.SERVER_ERROR
+    });
+  }
+});
+
+/**
+ * GET /api/v1/message/:guid
+ * Query: with (chats, chats.participants, attachment, handle). Registered after the fixed /message/* GET routes.
+ */
+router.get('/api/v1/message/:guid', optionalAuthenticateToken, async (req, res) => {
+  try {
+    const msg = await swiftDaemon.getMessage(req.params.guid);
+    if (!msg) {
+      return sendError(res, 404, 'Message does not exist!', 'Not Found');
+    }
+    const data = await toSingleMessageResponse(msg, parseWithQuery(req.query?.with).map(w => w.toLowerCase()));
+    return sendSuccess(res, data);
+  } catch (error) {
+    logger.error(`Get message error: ${error.message}`);
+    return sendError(res, 500, error.message);
+  }
+});
+
 /**
  * Serialize daemon attachment to official BlueBubbles AttachmentResponse (find endpoint).
+ * @param {Object} attachment - Daemon attachment info
+ * @param {Object} [opts]
+ * @param {boolean} [opts.hasLivePhoto] - From swiftDaemon.hasLivePhoto()
  */
-function serializeAttachmentFind(attachment) {
+function serializeAttachmentFind(attachment, opts = {}) {
   const base = normalizeAttachment(attachment) || {};
   return {
     ...base,
@@ -507,40 +1063,60 @@ function serializeAttachmentFind(attachment) {
     hideAttachment: attachment?.hideAttachment ?? false,
     isSticker: attachment?.isSticker ?? false,
     originalGuid: attachment?.originalGuid ?? attachment?.guid ?? null,
-    hasLivePhoto: false
+    hasLivePhoto: opts.hasLivePhoto ?? false
   };
 }
 
+/**
+ * Pipe a streamed daemon response to the client.
+ * Preserves daemon status + key headers (clients often rely on Range/Content-Range for previews).
+ */
+function pipeDaemonResponse(res, response) {
+  res.status(response.status);
+  const headers = response.headers || {};
+  const contentType = headers['content-type'];
+  const contentDisposition = headers['content-disposition'];
+  const contentLength = headers['content-length'];
+  const contentRange = headers['content-range'];
+  const acceptRanges = headers['accept-ranges'];
+  if (contentType) res.setHeader('Content-Type', contentType);
+  if (contentDisposition) res.setHeader('Content-Disposition', contentDisposition);
+  if (contentLength) res.setHeader('Content-Length', contentLength);
+  if (contentRange) res.setHeader('Content-Range', contentRange);
+  if (acceptRanges) res.setHeader('Accept-Ranges', acceptRanges);
+
+  response.data.pipe(res);
+}
+
 /**
  * Stream attachment file from Swift daemon. Forwards query (original, height, width, quality, force).
+ * Resize requests for JPEG/PNG images are answered from the bridge's variant cache instead.
  */
 async function streamAttachmentByGuid(req, res, guid) {
   if (!guid) {
     return sendBlueBubblesError(res, 400, 'Attachment GUID required', { type: BLUEBUBBLES_ERROR_TYPES.VALIDATION_ERROR });
   }
   logger.debug(`Attachment download requested: guid=${guid}`);
+  const query = req.query && typeof req.query === 'object' ? req.query : {};
+  const resize = req.headers?.range ? null : parseResizeQuery(query);
+  if (resize) {
+    try {
+      const variant = await getAttachmentVariant(guid, resize);
+      if (variant) return sendCachedBytes(req, res, variant.data, { contentType: variant.contentType, etag: variant.etag });
+    } catch (error) {
+      if (error?.response?.status !== 404) logger.warn(`Resizing attachment ${guid} failed, sending the daemon's file: ${error.message}`);
+    }
+  }
   try {
-    const query = req.query && typeof req.query === 'object' ? req.query : {};
     const passthroughHeaders = {};
     if (req.headers?.range) passthroughHeaders.Range = req.headers.range;
 
     const response = await swiftDaemon.getAttachmentStream(guid, query, { headers: passthroughHeaders });
-
-    // Preserve daemon status + key headers (clients often rely on Range/Content-Range for previews)
-    res.status(response.status);
-    const headers = response.headers || {};
-    const contentType = headers['content-type'];
-    const contentDisposition = headers['content-disposition'];
-    const contentLength = headers['content-length'];
-    const contentRange = headers['content-range'];
-    const acceptRanges = headers['accept-ranges'];
-    if (contentType) res.setHeader('Content-Type', contentType);
-    if (contentDisposition) res.setHeader('Content-Disposition', contentDisposition);
-    if (contentLength) res.setHeader('Content-Length', contentLength);
-    if (contentRange) res.setHeader('Content-Range', contentRange);
-    if (acceptRanges) res.setHeader('Accept-Ranges', acceptRanges);
-
-    response.data.pipe(res);
+    // First full download: sniff type and media metadata for the find endpoint
+    if (response.status === 200 && !resize && !passthroughHeaders.Range && !attachmentMetadata.get(guid)) {
+      attachmentMetadata.recordStream(guid, response.data);
+    }
+    pipeDaemonResponse(res, response);
   } catch (error) {
     if (error?.response?.status === 404) {
       logger.warn(`Attachment not found from daemon: guid=${guid}`);
@@ -589,11 +1165,18 @@ router.post('/api/v1/attachment/upload', optionalAuthenticateToken, (req, res, n
       type: BLUEBUBBLES_ERROR_TYPES.VALIDATION_ERROR
     });
   }
+  const tracked = storageManager.track(req.file.path, { kind: 'upload' });
   const uuid = req._uploadUuid || path.basename(path.dirname(req.file.path));
   const filename = path.basename(req.file.path);
   // Official BlueBubbles: data.path is "uuid/filename" with forward slashes (client uses this in attachmentPaths)
   const dataPath = `${uuid}/${filename}`.replace(/\\/g, '/');
-  return sendSuccess(res, { path: dataPath }, 'Success', 200);
+  // Bridge extension: type sniffed from the file's bytes (the client's Content-Type isn't trusted)
+  return sendSuccess(res, {
+    path: dataPath,
+    mimeType: tracked?.mimeType ?? req.file.mimetype ?? 'application/octet-stream',
+    uti: tracked?.uti ?? null,
+    totalBytes: tracked?.bytes ?? req.file.size
+  }, 'Success', 200);
 });
 
 /**
@@ -612,26 +1195,90 @@ router.get('/api/v1/attachment/:guid/download', optionalAuthenticateToken, async
   await streamAttachmentByGuid(req, res, req.params.guid);
 });
 
+/** Blurhashes by attachment GUID and request params; attachments don't change, so entries never expire. */
+const blurhashCache = createDiskCache({
+  dir: process.env.BLURHASH_CACHE_DIR || path.resolve(process.cwd(), 'data', 'blurhash-cache'),
+  maxBytes: (() => {
+    const raw = process.env.BLURHASH_CACHE_MAX_BYTES;
+    const n = raw != null ? parseInt(String(raw), 10) : NaN;
+    return Number.isFinite(n) && n >= 0 ? n : 2 * 1024 * 1024;
+  })(),
+  name: 'blurhash-cache'
+});
+
+const MAX_BLURHASH_DIMENSION = 1024;
+
 /**
  * GET /api/v1/attachment/:guid/blurhash
- * Official: returns blurhash for image. We don't support; return 404 per official message.
+ * Official: blurhash of an image attachment (query: width, height, quality = good|better|best).
+ * JPEG and PNG are decoded on the image worker pool; other formats return 404 like non-images.
  */
 router.get('/api/v1/attachment/:guid/blurhash', optionalAuthenticateToken, async (req, res) => {
   const guid = req.params.guid;
-  const info = await swiftDaemon.getAttachmentInfo(guid).catch(() => null);
-  if (!info) return sendBlueBubblesError(res, 404, 'Attachment does not exist!');
-  return sendBlueBubblesError(res, 404, 'Attachment is not an image!', { type: BLUEBUBBLES_ERROR_TYPES.DATABASE_ERROR });
+  const dims = {};
+  for (const key of ['width', 'height']) {
+    if (req.query[key] == null || req.query[key] === '') continue;
+    const n = parseInt(String(req.query[key]), 10);
+    if (!Number.isFinite(n) || n < 1 || n > MAX_BLURHASH_DIMENSION) {
+      return sendBlueBubblesError(res, 400, `${key} must be between 1 and ${MAX_BLURHASH_DIMENSION}`, { type: BLUEBUBBLES_ERROR_TYPES.VALIDATION_ERROR });
+    }
+    dims[key] = n;
+  }
+  const quality = req.query.quality ? String(req.query.quality).toLowerCase() : 'good';
+  if (!BLURHASH_QUALITIES.includes(quality)) {
+    return sendBlueBubblesError(res, 400, `quality must be one of: ${BLURHASH_QUALITIES.join(', ')}`, { type: BLUEBUBBLES_ERROR_TYPES.VALIDATION_ERROR });
+  }
+
+  const cacheKey = `${guid}:${dims.width || ''}x${dims.height || ''}:${quality}`;
+  const cached = blurhashCache.get(cacheKey);
+  if (cached) return sendSuccess(res, cached.data.toString('utf8'));
+
+  try {
+    const info = await swiftDaemon.getAttachmentInfo(guid).catch(() => null);
+    if (!info) return sendBlueBubblesError(res, 404, 'Attachment does not exist!');
+    const mimeType = info.mimeType ?? info.mime_type ?? '';
+    if (mimeType && !String(mimeType).startsWith('image/')) {
+      return sendBlueBubblesError(res, 404, 'Attachment is not an image!', { type: BLUEBUBBLES_ERROR_TYPES.DATABASE_ERROR });
+    }
+
+    const data = await swiftDaemon.getAttachmentBuffer(guid);
+    if (!attachmentMetadata.get(guid)) attachmentMetadata.recordDownload(guid, data, { totalBytes: data.length });
+    const type = detectImageType(data);
+    if (!type) return sendBlueBubblesError(res, 404, 'Attachment is not an image!', { type: BLUEBUBBLES_ERROR_TYPES.DATABASE_ERROR });
+    if (!canDecode(type)) {
+      return sendBlueBubblesError(res, 404, `Blurhash is not supported for ${type} attachments`, { type: BLUEBUBBLES_ERROR_TYPES.DATABASE_ERROR });
+    }
+
+    const hash = await runImageTask('blurhash', { data, opts: { ...dims, quality } });
+    blurhashCache.set(cacheKey, Buffer.from(hash, 'utf8'), { guid, quality });
+    return sendSuccess(res, hash);
+  } catch (err) {
+    logger.error(`Blurhash error for guid=${guid}: ${err.message}`);
+    return sendError(res, 500, err.message);
+  }
 });
 
 /**
  * GET /api/v1/attachment/:guid/live
- * Official: stream live photo video. We don't support; return 404 per official message.
+ * Official: stream the Live Photo video (.mov paired with a HEIC/JPEG). Supports Range.
  */
 router.get('/api/v1/attachment/:guid/live', optionalAuthenticateToken, async (req, res) => {
   const guid = req.params.guid;
-  const info = await swiftDaemon.getAttachmentInfo(guid).catch(() => null);
-  if (!info) return sendBlueBubblesError(res, 404, 'Attachment does not exist!');
-  return sendBlueBubblesError(res, 404, 'Live photo does not exist for this attachment!');
+  try {
+    const info = await swiftDaemon.getAttachmentInfo(guid).catch(() => null);
+    if (!info) return sendBlueBubblesError(res, 404, 'Attachment does not exist!');
+    if (!(await swiftDaemon.hasLivePhoto(guid, info))) {
+      return sendBlueBubblesError(res, 404, 'Live photo does not exist for this attachment!');
+    }
+    const passthroughHeaders = {};
+    if (req.headers?.range) passthroughHeaders.Range = req.headers.range;
+    const response = await swiftDaemon.getLivePhotoStream(guid, { headers: passthroughHeaders });
+    if (!response) return sendBlueBubblesError(res, 404, 'Live photo does not exist for this attachment!');
+    pipeDaemonResponse(res, response);
+  } catch (error) {
+    logger.error(`Live photo proxy error for guid=${guid}: ${error.message}`);
+    sendError(res, 500, error.message);
+  }
 });
 
 /**
@@ -644,9 +1291,10 @@ router.get('/api/v1/attachment/:guid', optionalAuthenticateToken, async (req, re
     return sendBlueBubblesError(res, 400, 'Attachment GUID required', { type: BLUEBUBBLES_ERROR_TYPES.VALIDATION_ERROR });
   }
   try {
-    const attachment = await swiftDaemon.getAttachmentInfo(guid);
+    const attachment = attachmentMetadata.enrich(await swiftDaemon.getAttachmentInfo(guid));
     if (!attachment) return sendBlueBubblesError(res, 404, 'Attachment does not exist!');
-    const data = serializeAttachmentFind(attachment);
+    const hasLivePhoto = await swiftDaemon.hasLivePhoto(guid, attachment);
+    const data = serializeAttachmentFind(attachment, { hasLivePhoto });
     return sendSuccess(res, data);
   } catch (err) {
     logger.error(`Attachment find error for guid=${guid}: ${err.message}`);
@@ -1,8 +1,9 @@
 import express from 'express';
 import logger from '../config/logger.js';
-import { sendSuccess } from '../utils/envelope.js';
+import { sendSuccess, sendError } from '../utils/envelope.js';
 import { getServerMetadata } from '../services/server-metadata.js';
 import swiftDaemon from '../services/swift-daemon.js';
+import storageManager from '../services/storage-manager.js';
 import { optionalAuthenticateToken } from '../middleware/auth.js';
 
 const router = express.Router();
@@ -20,7 +21,7 @@ router.get('/api/v1/server/ping', optionalAuthenticateToken, (req, res) => {
       privateApi: false,
       typingIndicators: true,
       readReceipts: true,
-      reactions: false,
+      reactions: true,
       groupChat: true,
       attachments: true
     },
@@ -143,6 +144,20 @@ router.get('/api/v1/server/statistics/media', optionalAuthenticateToken, async (
   }
 });
 
+/**
+ * GET /api/v1/server/storage
+ * Bridge extension: disk used by attachment files the bridge wrote (sent, unsent, still referenced by
+ * queued sends), the quota and age policy, upload sessions and derived-data caches.
+ */
+router.get('/api/v1/server/storage', optionalAuthenticateToken, (req, res) => {
+  try {
+    sendSuccess(res, storageManager.getUsage());
+  } catch (error) {
+    logger.error(`Storage usage error: ${error.message}`);
+    sendError(res, 500, error.message);
+  }
+});
+
 /**
  * GET /api/v1/icloud/account
  * Matches official format: { identifier, displayName, emails, phones }
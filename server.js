@@ -6,6 +6,10 @@ import dotenv from 'dotenv';
 import logger from './config/logger.js';
 import swiftDaemon from './services/swift-daemon.js';
 import SocketManager from './services/socket-manager.js';
+import sendQueue from './services/send-queue.js';
+import scheduledMessages from './services/scheduled-messages.js';
+import attachmentUploads from './services/attachment-uploads.js';
+import storageManager from './services/storage-manager.js';
 import registerSocketEvents from './events/socket-events.js';
 import { createServerErrorResponse } from './utils/socket-response.js';
 import { getServerPassword } from './middleware/auth.js';
@@ -97,9 +101,13 @@ if (LOG_REQUESTS) {
   });
 }
 
-// Make io available to routes
+// Initialize Socket.IO
+const socketManager = new SocketManager(io);
+
+// Make io and socketManager available to routes
 app.use((req, res, next) => {
   req.io = io;
+  req.socketManager = socketManager;
   next();
 });
 
@@ -156,9 +164,6 @@ app.use((err, req, res, next) => {
   });
 });
 
-// Initialize Socket.IO
-const socketManager = new SocketManager(io);
-
 // Dedupe: skip re-emitting the same message (belt-and-suspenders for edge cases)
 const recentlyEmittedGuids = new Set();
 const MAX_EMITTED_CACHE = 1000;
@@ -368,6 +373,64 @@ const pollSwiftDaemon = async () => {
 // Start polling immediately until SSE is healthy
 startPolling();
 
+// Replay sends left unfinished by a restart; notify the chat room when they complete
+sendQueue.start({
+  onBackgroundSent: (item, result) => {
+    const messagePayload = toMessageResponse(
+      {
+        guid: result?.guid || item.tempGuid,
+        text: item.text,
+        dateCreated: result?.dateCreated ?? Date.now(),
+        isFromMe: true,
+        threadOriginatorGuid: result?.threadOriginatorGuid ?? item.selectedMessageGuid,
+        threadOriginatorPart: result?.threadOriginatorPart ?? item.partIndex
+      },
+      item.chatGuid,
+      null,
+      { tempGuid: item.tempGuid }
+    );
+    socketManager.broadcastToChat(item.chatGuid, 'message.created', messagePayload);
+    logger.info(`Emitted queued message to room ${item.chatGuid}: ${messagePayload.guid}`);
+  },
+  onBackgroundFailed: (item, error) => {
+    const messagePayload = toMessageResponse(
+      { guid: null, text: item.text, dateCreated: item.createdAt, isFromMe: true, error: 4 },
+      item.chatGuid,
+      null,
+      { tempGuid: item.tempGuid }
+    );
+    socketManager.broadcastToChat(item.chatGuid, 'message-send-error', messagePayload);
+    logger.warn(`Queued message ${item.tempGuid} failed: ${error?.message ?? error}`);
+  }
+});
+
+// Start the scheduler after the send queue so interrupted scheduled sends can be reconciled
+scheduledMessages.start({
+  onSent: (item, result) => {
+    const messagePayload = toMessageResponse(
+      {
+        guid: result?.guid || null,
+        text: item.payload.message,
+        dateCreated: result?.dateCreated ?? item.sentAt,
+        isFromMe: true
+      },
+      item.payload.chatGuid,
+      null
+    );
+    socketManager.broadcastToChat(item.payload.chatGuid, 'message.created', messagePayload);
+    socketManager.broadcastGlobal('scheduled-message-sent', item);
+  },
+  onError: (item) => {
+    socketManager.broadcastGlobal('scheduled-message-error', item);
+  }
+});
+
+// Remove chunked uploads abandoned by clients
+attachmentUploads.start();
+
+// Sweep attachment files by age and quota; runs after the queues so it sees which files are still needed
+storageManager.start();
+
 // Watchdog: if SSE goes quiet, resume polling
 setInterval(() => {
   if (!sseHealthy) return;
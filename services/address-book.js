@@ -0,0 +1,120 @@
+/**
+ * Uploaded address book (data/AddressBook.vcf, written by save-vcf and POST /api/v1/contact/import).
+ * Contacts from the Mac (daemon) are the source of truth; the uploaded book fills in contacts whose
+ * addresses the Mac doesn't know, and is served on its own when the daemon's book is empty or unavailable.
+ */
+import fs from 'fs';
+import path from 'path';
+import logger from '../config/logger.js';
+import swiftDaemon from './swift-daemon.js';
+import { parseVcard } from '../utils/vcard.js';
+import { mapContact, shouldIncludeAvatar } from '../utils/contacts.js';
+import { normalizeAddress } from '../utils/addresses.js';
+
+export const VCF_PATH = path.resolve(process.cwd(), 'data', 'AddressBook.vcf');
+
+let parsedCache = { mtimeMs: -1, contacts: [] };
+
+/**
+ * Raw text of the uploaded book ('' when none was uploaded).
+ * @returns {string}
+ */
+export function readVcf() {
+  return fs.existsSync(VCF_PATH) ? fs.readFileSync(VCF_PATH, 'utf8') : '';
+}
+
+/**
+ * Replace the uploaded book. Writes atomically so a concurrent read never sees half a file.
+ * @param {string} text - vCard file contents
+ * @returns {Array<Object>} Contacts parsed from it (mapContact shape, with avatars)
+ */
+export function saveVcf(text) {
+  fs.mkdirSync(path.dirname(VCF_PATH), { recursive: true });
+  const tmp = `${VCF_PATH}.tmp`;
+  fs.writeFileSync(tmp, String(text), 'utf8');
+  fs.renameSync(tmp, VCF_PATH);
+  return getUploadedContacts();
+}
+
+/**
+ * Contacts from the uploaded book (mapContact shape, with avatars). Re-parsed only when the file changes.
+ * @returns {Array<Object>}
+ */
+export function getUploadedContacts() {
+  let stat;
+  try {
+    stat = fs.statSync(VCF_PATH);
+  } catch (_) {
+    return [];
+  }
+  if (stat.mtimeMs !== parsedCache.mtimeMs) {
+    try {
+      parsedCache = { mtimeMs: stat.mtimeMs, contacts: parseVcard(readVcf()).map(c => mapContact(c, true)) };
+      logger.debug(`Parsed ${parsedCache.contacts.length} contacts from ${VCF_PATH}`);
+    } catch (error) {
+      logger.warn(`Failed to parse ${VCF_PATH}: ${error.message}`);
+      parsedCache = { mtimeMs: stat.mtimeMs, contacts: [] };
+    }
+  }
+  return parsedCache.contacts;
+}
+
+const contactAddresses = (contact) =>
+  []
+    .concat(contact.phoneNumbers || contact.phones || [])
+    .concat(contact.emails || [])
+    .map(v => normalizeAddress(typeof v === 'string' ? v : v?.address ?? v?.value))
+    .filter(Boolean);
+
+/**
+ * Daemon contacts plus uploaded contacts none of whose addresses the daemon already has.
+ * @param {Array<Object>} daemonContacts
+ * @param {Array<Object>} uploaded
+ * @returns {Array<Object>}
+ */
+export function mergeContacts(daemonContacts, uploaded) {
+  const known = new Set(daemonContacts.flatMap(contactAddresses));
+  return daemonContacts.concat(uploaded.filter(c => !contactAddresses(c).some(a => known.has(a))));
+}
+
+/**
+ * Contacts for get-contacts and GET /api/v1/contacts.
+ * Unpaged requests get the daemon's book merged with the uploaded one; paged requests get the daemon's page.
+ * When the daemon has no contacts or fails, the uploaded book is served (and paged) instead.
+ * @param {Object} [opts]
+ * @param {number} [opts.limit]
+ * @param {number} [opts.offset]
+ * @param {string[]} [opts.extraProperties] - Uploaded avatars are only included when 'avatar' (or alias) is requested
+ * @returns {Promise<Array<Object>>}
+ */
+export async function getContacts(opts = {}) {
+  const { limit, offset, extraProperties = [] } = opts;
+  let daemonContacts = null;
+  let daemonError = null;
+  try {
+    daemonContacts = (await swiftDaemon.getContacts({ limit, offset, extraProperties })) || [];
+  } catch (error) {
+    daemonError = error;
+  }
+
+  const includeAvatar = shouldIncludeAvatar(extraProperties);
+  const uploaded = getUploadedContacts().map(c => (includeAvatar ? c : { ...c, avatar: '' }));
+  if (!uploaded.length) {
+    if (daemonError) throw daemonError;
+    return daemonContacts;
+  }
+
+  // An empty page past the end of a non-empty daemon book is not an empty book
+  const daemonEmpty = daemonContacts && !daemonContacts.length && (offset > 0
+    ? !(await swiftDaemon.getContacts({ limit: 1 }).catch(() => [])).length
+    : true);
+  if (daemonError || daemonEmpty) {
+    if (daemonError) logger.warn(`Daemon contacts unavailable (${daemonError.message}); serving uploaded address book`);
+    const start = offset > 0 ? offset : 0;
+    return limit > 0 ? uploaded.slice(start, start + limit) : uploaded.slice(start);
+  }
+  if (limit != null || offset != null) return daemonContacts;
+  return mergeContacts(daemonContacts, uploaded);
+}
+
+export default { VCF_PATH, readVcf, saveVcf, getUploadedContacts, mergeContacts, getContacts };
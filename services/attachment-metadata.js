@@ -0,0 +1,212 @@
+/**
+ * Sniffed attachment metadata (MIME type, UTI, size, and width/height/orientation/duration for media).
+ * Attachments are probed the first time they are downloaded through the bridge, and files the bridge sent
+ * are probed once the daemon has given them attachment GUIDs. Results are kept in data/attachment-metadata.json
+ * and fill in what the daemon's attachment info lacks wherever attachments are serialized.
+ */
+import fs from 'fs';
+import path from 'path';
+import logger from '../config/logger.js';
+import { probeMedia, readMovieInfo } from '../utils/media-info.js';
+
+const METADATA_PATH = path.resolve(process.cwd(), 'data', 'attachment-metadata.json');
+
+/** Leading bytes probed: enough for image headers and for fast-start videos' moov box. */
+export const SNIFF_BYTES = 512 * 1024;
+
+const MAX_ENTRIES = 10000;
+const PERSIST_DELAY_MS = 1000;
+const GENERIC_MIME_TYPES = new Set(['', 'application/octet-stream']);
+
+const entries = new Map(); // attachment GUID -> metadata
+let loaded = false;
+let persistTimer = null;
+
+function load() {
+  if (loaded) return;
+  loaded = true;
+  try {
+    const parsed = JSON.parse(fs.readFileSync(METADATA_PATH, 'utf8'));
+    for (const [key, value] of Object.entries(parsed || {})) entries.set(key, value);
+  } catch (error) {
+    if (error?.code !== 'ENOENT') logger.warn(`Failed to load attachment metadata: ${error.message}`);
+  }
+}
+
+function persist() {
+  try {
+    fs.mkdirSync(path.dirname(METADATA_PATH), { recursive: true });
+    const tmpPath = `${METADATA_PATH}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(Object.fromEntries(entries)), 'utf8');
+    fs.renameSync(tmpPath, METADATA_PATH);
+  } catch (error) {
+    logger.error(`Failed to persist attachment metadata: ${error.message}`);
+  }
+}
+
+/** Downloads come in bursts (scrolling a chat); write the file once per burst. */
+function schedulePersist() {
+  if (persistTimer) return;
+  persistTimer = setTimeout(() => {
+    persistTimer = null;
+    persist();
+  }, PERSIST_DELAY_MS);
+  persistTimer.unref?.();
+}
+
+function store(key, probe, totalBytes) {
+  load();
+  const entry = { ...probe, totalBytes: totalBytes ?? null, sniffedAt: Date.now() };
+  entries.delete(key);
+  entries.set(key, entry);
+  while (entries.size > MAX_ENTRIES) entries.delete(entries.keys().next().value);
+  schedulePersist();
+  return entry;
+}
+
+/**
+ * Metadata recorded for an attachment GUID, or null.
+ * @param {string} guid
+ * @returns {Object|null}
+ */
+export function get(guid) {
+  load();
+  return entries.get(guid) ?? null;
+}
+
+/**
+ * Probe downloaded bytes of an attachment and remember the result.
+ * @param {string} guid - Attachment GUID
+ * @param {Buffer} data - The file or its first SNIFF_BYTES
+ * @param {Object} [opts]
+ * @param {number} [opts.totalBytes] - Full file size when known
+ * @returns {Object} Stored metadata
+ */
+export function recordDownload(guid, data, opts = {}) {
+  return store(guid, probeMedia(data), opts.totalBytes ?? (data.length < SNIFF_BYTES ? data.length : null));
+}
+
+/**
+ * Probe an attachment as it streams to a client: keeps the first SNIFF_BYTES and records them once the
+ * stream ends. Nothing is recorded when the stream fails.
+ * @param {string} guid - Attachment GUID
+ * @param {import('stream').Readable} stream - The full file (not a Range or resized response)
+ */
+export function recordStream(guid, stream) {
+  const head = [];
+  let headBytes = 0;
+  let totalBytes = 0;
+  stream.on('data', (chunk) => {
+    totalBytes += chunk.length;
+    if (headBytes < SNIFF_BYTES) {
+      const part = chunk.subarray(0, SNIFF_BYTES - headBytes);
+      head.push(part);
+      headBytes += part.length;
+    }
+  });
+  stream.on('end', () => {
+    try {
+      recordDownload(guid, Buffer.concat(head), { totalBytes });
+    } catch (error) {
+      logger.warn(`Failed to probe attachment ${guid}: ${error.message}`);
+    }
+  });
+}
+
+/** moov of a video whose media data comes first: walk the top-level boxes on disk. */
+function readTrailingMoov(fd, size) {
+  const header = Buffer.alloc(16);
+  let offset = 0;
+  while (offset + 8 <= size) {
+    fs.readSync(fd, header, 0, 16, offset);
+    let boxSize = header.readUInt32BE(0);
+    if (boxSize === 1) boxSize = Number(header.readBigUInt64BE(8));
+    else if (boxSize === 0) boxSize = size - offset;
+    if (boxSize < 8) return null;
+    if (header.subarray(4, 8).toString('latin1') === 'moov') {
+      const moov = Buffer.alloc(Math.min(boxSize, size - offset, 16 * 1024 * 1024));
+      fs.readSync(fd, moov, 0, moov.length, offset);
+      return moov;
+    }
+    offset += boxSize;
+  }
+  return null;
+}
+
+/**
+ * Probe a file on disk (uploads the bridge writes). Videos whose moov box comes after the media data
+ * are read from the end of the file.
+ * @param {string} filePath
+ * @returns {Object|null} Probe result with totalBytes, or null when the file can't be read
+ */
+export function probeFile(filePath) {
+  let fd;
+  try {
+    fd = fs.openSync(filePath, 'r');
+    const { size } = fs.fstatSync(fd);
+    const head = Buffer.alloc(Math.min(size, SNIFF_BYTES));
+    fs.readSync(fd, head, 0, head.length, 0);
+    const probe = probeMedia(head);
+    if (/^(video|audio)\//.test(probe.mimeType || '') && probe.duration == null && size > head.length) {
+      const moov = readTrailingMoov(fd, size);
+      const movie = moov ? readMovieInfo(moov) : null;
+      for (const [key, value] of Object.entries(movie || {})) {
+        if (Number.isFinite(value) && value > 0) probe[key] = value;
+      }
+    }
+    return { ...probe, totalBytes: size };
+  } catch (error) {
+    logger.warn(`Failed to probe ${filePath}: ${error.message}`);
+    return null;
+  } finally {
+    if (fd != null) fs.closeSync(fd);
+  }
+}
+
+/**
+ * Record the sniffed type of files the bridge just sent under the attachment GUIDs the daemon gave them.
+ * Attachments are matched to files by transfer name, or by position when names don't match.
+ * @param {string[]} filePaths - Files sent with the message
+ * @param {Object[]} attachments - The sent message's daemon attachments
+ */
+export function recordSentFiles(filePaths, attachments) {
+  if (!filePaths?.length || !Array.isArray(attachments)) return;
+  attachments.forEach((attachment, index) => {
+    const guid = attachment?.guid ?? attachment?.GUID;
+    if (!guid || get(guid)) return;
+    const name = attachment.transferName ?? attachment.transfer_name;
+    const filePath = filePaths.find(p => path.basename(p) === name)
+      ?? (filePaths.length === attachments.length ? filePaths[index] : null);
+    const probe = filePath ? probeFile(filePath) : null;
+    if (!probe) return;
+    const { totalBytes, ...media } = probe;
+    store(guid, media, totalBytes);
+  });
+}
+
+/**
+ * Daemon attachment info with sniffed values filled in: mimeType/uti/totalBytes where the daemon left them
+ * empty or generic, plus width, height and metadata (orientation, duration) for images and videos.
+ * @param {Object} info - Daemon attachment info
+ * @returns {Object} Copy of info
+ */
+export function enrich(info) {
+  if (!info || typeof info !== 'object') return info;
+  const sniffed = get(info.guid ?? info.GUID);
+  if (!sniffed) return info;
+  const result = { ...info };
+  const mimeType = String(info.mimeType ?? info.mime_type ?? '').toLowerCase();
+  if (sniffed.mimeType && GENERIC_MIME_TYPES.has(mimeType)) result.mimeType = sniffed.mimeType;
+  if (sniffed.uti && !(info.uti ?? '')) result.uti = sniffed.uti;
+  if (sniffed.totalBytes && !(info.totalBytes ?? info.total_bytes)) result.totalBytes = sniffed.totalBytes;
+  if (sniffed.width && info.width == null) result.width = sniffed.width;
+  if (sniffed.height && info.height == null) result.height = sniffed.height;
+  if (info.metadata == null) {
+    const metadata = {};
+    for (const key of ['orientation', 'duration']) if (sniffed[key] != null) metadata[key] = sniffed[key];
+    if (Object.keys(metadata).length) result.metadata = metadata;
+  }
+  return result;
+}
+
+export default { SNIFF_BYTES, get, recordDownload, recordStream, recordSentFiles, probeFile, enrich };
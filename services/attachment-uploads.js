@@ -0,0 +1,258 @@
+/**
+ * Resumable chunked attachment uploads (socket send-message-chunk).
+ * Each upload is a session in data/attachment-chunks/<attachmentGuid>/: the chunks as <start>.chunk files
+ * plus session.json with the expected total size, whole-file SHA-256 and the SHA-256 of every stored chunk.
+ * Clients can ask which byte ranges are stored and resend only the gaps after a disconnect; the file is
+ * only built once it is complete and matches its checksum. Sessions idle for longer than
+ * ATTACHMENT_UPLOAD_TTL_MS are removed.
+ */
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import logger from '../config/logger.js';
+
+/** Absolute path so daemon on same Mac can read built attachment files */
+export const CHUNKS_DIR = path.resolve(process.cwd(), 'data', 'attachment-chunks');
+
+const SESSION_TTL_MS = (() => {
+  const raw = process.env.ATTACHMENT_UPLOAD_TTL_MS;
+  const n = raw != null ? parseInt(String(raw), 10) : NaN;
+  // Default 24 hours
+  return Number.isFinite(n) && n > 0 ? n : 24 * 60 * 60 * 1000;
+})();
+const SWEEP_INTERVAL_MS = Math.min(SESSION_TTL_MS, 60 * 60 * 1000);
+
+const SHA256_RE = /^[a-f0-9]{64}$/;
+
+let sweepTimer = null;
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+function sessionDir(guid) {
+  const safe = String(guid ?? '').replace(/[/\\]/g, '');
+  if (!safe || safe === '.' || safe === '..') throw new Error('Invalid attachment GUID');
+  return path.join(CHUNKS_DIR, safe);
+}
+
+function readSession(guid) {
+  const dir = sessionDir(guid);
+  try {
+    return JSON.parse(fs.readFileSync(path.join(dir, 'session.json'), 'utf8'));
+  } catch (_) {
+    if (!fs.existsSync(dir)) return null;
+    // Chunks written before sessions existed: adopt them without checksums
+    const chunks = fs.readdirSync(dir)
+      .filter(f => /^\d+\.chunk$/.test(f))
+      .map((f) => ({ start: Number(f.split('.')[0]), length: fs.statSync(path.join(dir, f)).size, sha256: null }));
+    const now = Date.now();
+    return { guid, totalBytes: null, sha256: null, createdAt: now, updatedAt: now, chunks };
+  }
+}
+
+function writeSession(session) {
+  const file = path.join(sessionDir(session.guid), 'session.json');
+  fs.writeFileSync(`${file}.tmp`, JSON.stringify(session), 'utf8');
+  fs.renameSync(`${file}.tmp`, file);
+}
+
+/** Stored ranges merged and sorted; `end` is exclusive. */
+function storedRanges(chunks) {
+  const ranges = [];
+  for (const { start, length } of [...chunks].sort((a, b) => a.start - b.start)) {
+    const last = ranges[ranges.length - 1];
+    if (last && start <= last.end) last.end = Math.max(last.end, start + length);
+    else ranges.push({ start, end: start + length });
+  }
+  return ranges;
+}
+
+/** Byte ranges not stored yet (up to totalBytes, or up to the last stored byte when the size is unknown). */
+function missingRanges(ranges, totalBytes) {
+  const missing = [];
+  let cursor = 0;
+  for (const range of ranges) {
+    if (range.start > cursor) missing.push({ start: cursor, end: range.start });
+    cursor = Math.max(cursor, range.end);
+  }
+  if (totalBytes != null && cursor < totalBytes) missing.push({ start: cursor, end: totalBytes });
+  return missing;
+}
+
+function toStatus(session) {
+  const ranges = storedRanges(session.chunks);
+  const missing = missingRanges(ranges, session.totalBytes);
+  return {
+    attachmentGuid: session.guid,
+    totalBytes: session.totalBytes,
+    receivedBytes: ranges.reduce((sum, r) => sum + (r.end - r.start), 0),
+    ranges,
+    missing,
+    complete: session.totalBytes != null && missing.length === 0,
+    expiresAt: session.updatedAt + SESSION_TTL_MS
+  };
+}
+
+/**
+ * Upload progress for resuming.
+ * @param {string} guid - Attachment GUID
+ * @returns {{ attachmentGuid: string, totalBytes: number|null, receivedBytes: number,
+ *   ranges: Array<{start: number, end: number}>, missing: Array<{start: number, end: number}>,
+ *   complete: boolean, expiresAt: number }|null} null when there is no upload for the GUID
+ */
+export function getUploadStatus(guid) {
+  const session = readSession(guid);
+  return session ? toStatus(session) : null;
+}
+
+/**
+ * Store one chunk. The first chunk (or any chunk) may declare the upload's total size and SHA-256;
+ * later chunks must agree. Re-sending a chunk at the same offset replaces it.
+ * @param {string} guid - Attachment GUID
+ * @param {number} start - Byte offset of the chunk
+ * @param {Buffer} data - Chunk bytes
+ * @param {Object} [opts]
+ * @param {string} [opts.chunkSha256] - SHA-256 (hex) of this chunk; rejected when it doesn't match
+ * @param {number} [opts.totalBytes] - Size of the whole file
+ * @param {string} [opts.sha256] - SHA-256 (hex) of the whole file, checked by buildUpload()
+ * @returns {{ value?: Object, error?: string }} value is the upload status
+ */
+export function saveChunk(guid, start, data, opts = {}) {
+  const offset = Number(start ?? 0);
+  if (!Number.isInteger(offset) || offset < 0) return { error: 'Invalid attachment chunk start' };
+  const chunkSha256 = opts.chunkSha256 != null ? String(opts.chunkSha256).toLowerCase() : null;
+  if (chunkSha256 != null && !SHA256_RE.test(chunkSha256)) return { error: 'Chunk hash must be a hex SHA-256' };
+  const fileSha256 = opts.sha256 != null ? String(opts.sha256).toLowerCase() : null;
+  if (fileSha256 != null && !SHA256_RE.test(fileSha256)) return { error: 'Attachment hash must be a hex SHA-256' };
+  const totalBytes = opts.totalBytes != null ? Number(opts.totalBytes) : null;
+  if (totalBytes != null && (!Number.isInteger(totalBytes) || totalBytes < 0)) return { error: 'Invalid attachment total size' };
+
+  const hash = sha256(data);
+  if (chunkSha256 && chunkSha256 !== hash) {
+    return { error: `Chunk at ${offset} failed its checksum (expected ${chunkSha256}, got ${hash})` };
+  }
+
+  const now = Date.now();
+  const session = readSession(guid) ?? { guid, totalBytes: null, sha256: null, createdAt: now, updatedAt: now, chunks: [] };
+  if (totalBytes != null) {
+    if (session.totalBytes != null && session.totalBytes !== totalBytes) {
+      return { error: `Attachment size changed from ${session.totalBytes} to ${totalBytes} bytes` };
+    }
+    session.totalBytes = totalBytes;
+  }
+  if (fileSha256) {
+    if (session.sha256 && session.sha256 !== fileSha256) return { error: 'Attachment hash changed during upload' };
+    session.sha256 = fileSha256;
+  }
+  if (session.totalBytes != null && offset + data.length > session.totalBytes) {
+    return { error: `Chunk at ${offset} (${data.length} bytes) ends past the attachment size of ${session.totalBytes}` };
+  }
+  const others = session.chunks.filter(c => c.start !== offset);
+  const overlap = others.find(c => offset < c.start + c.length && c.start < offset + data.length);
+  if (overlap) {
+    return { error: `Chunk at ${offset} overlaps stored bytes ${overlap.start}-${overlap.start + overlap.length - 1}` };
+  }
+
+  const dir = sessionDir(guid);
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, `${offset}.chunk`), data);
+  session.chunks = others.concat({ start: offset, length: data.length, sha256: hash });
+  session.updatedAt = now;
+  writeSession(session);
+  return { value: toStatus(session) };
+}
+
+/**
+ * Build the uploaded file once every byte is stored, verifying each chunk and the whole file.
+ * An incomplete upload is kept so the client can send the missing ranges; a corrupt one is discarded.
+ * @param {string} guid - Attachment GUID
+ * @param {string} name - File name for the built file
+ * @returns {{ value?: string, error?: string, status?: Object }} value is the built file's path;
+ *   status is the upload status when the upload is incomplete
+ */
+export function buildUpload(guid, name) {
+  const session = readSession(guid);
+  if (!session || !session.chunks.length) return { error: 'No chunks found' };
+  const status = toStatus(session);
+  if (status.missing.length) {
+    const gaps = status.missing.map(r => `${r.start}-${r.end - 1}`).join(', ');
+    return { error: `Attachment upload is incomplete; missing bytes ${gaps}`, status };
+  }
+
+  const dir = sessionDir(guid);
+  const outPath = path.join(dir, path.basename(String(name).replace(/[/\\]/g, '') || 'attachment'));
+  const whole = crypto.createHash('sha256');
+  const fd = fs.openSync(`${outPath}.tmp`, 'w');
+  try {
+    for (const chunk of [...session.chunks].sort((a, b) => a.start - b.start)) {
+      const data = fs.readFileSync(path.join(dir, `${chunk.start}.chunk`));
+      if (data.length !== chunk.length || (chunk.sha256 && sha256(data) !== chunk.sha256)) {
+        fs.closeSync(fd);
+        deleteUpload(guid);
+        return { error: `Stored chunk at ${chunk.start} is corrupt; restart the upload` };
+      }
+      whole.update(data);
+      fs.writeSync(fd, data);
+    }
+  } catch (error) {
+    try { fs.closeSync(fd); } catch (_) {}
+    throw error;
+  }
+  fs.closeSync(fd);
+
+  const digest = whole.digest('hex');
+  if (session.sha256 && digest !== session.sha256) {
+    deleteUpload(guid);
+    return { error: `Attachment failed its checksum (expected ${session.sha256}, got ${digest}); restart the upload` };
+  }
+  fs.renameSync(`${outPath}.tmp`, outPath);
+  return { value: outPath };
+}
+
+/** Remove an upload's chunks and session. */
+export function deleteUpload(guid) {
+  try {
+    fs.rmSync(sessionDir(guid), { recursive: true, force: true });
+  } catch (_) {}
+}
+
+/**
+ * Remove sessions with no new chunk for ATTACHMENT_UPLOAD_TTL_MS.
+ * @returns {number} Sessions removed
+ */
+export function sweepExpired(now = Date.now()) {
+  let names;
+  try {
+    names = fs.readdirSync(CHUNKS_DIR);
+  } catch (_) {
+    return 0;
+  }
+  let removed = 0;
+  for (const name of names) {
+    const dir = path.join(CHUNKS_DIR, name);
+    let updatedAt;
+    try {
+      updatedAt = JSON.parse(fs.readFileSync(path.join(dir, 'session.json'), 'utf8')).updatedAt;
+    } catch (_) {
+      try {
+        updatedAt = fs.statSync(dir).mtimeMs;
+      } catch (_) {
+        continue;
+      }
+    }
+    if (now - (updatedAt || 0) <= SESSION_TTL_MS) continue;
+    fs.rmSync(dir, { recursive: true, force: true });
+    removed += 1;
+  }
+  if (removed) logger.info(`Removed ${removed} expired attachment upload(s)`);
+  return removed;
+}
+
+/** Sweep expired sessions now and periodically. */
+export function start() {
+  if (sweepTimer) return;
+  sweepExpired();
+  sweepTimer = setInterval(() => sweepExpired(), SWEEP_INTERVAL_MS);
+  sweepTimer.unref?.();
+}
+
+export default { CHUNKS_DIR, getUploadStatus, saveChunk, buildUpload, deleteUpload, sweepExpired, start };
@@ -0,0 +1,121 @@
+/**
+ * Resized attachment images for GET /api/v1/attachment/:guid/download?width=&height=&quality=.
+ * The daemon is asked to resize first; when it returns the original, the bridge downscales JPEG/PNG itself
+ * on the image worker pool. Variants are kept in a size-bounded LRU disk cache per GUID and size.
+ * Attachments the bridge can't decode (HEIC, video, ...) are skipped before anything is downloaded.
+ */
+import path from 'path';
+import logger from '../config/logger.js';
+import swiftDaemon from './swift-daemon.js';
+import { createDiskCache } from './disk-cache.js';
+import attachmentMetadata from './attachment-metadata.js';
+import { runImageTask } from './image-workers.js';
+import { etagFor } from '../utils/http-cache.js';
+import { probeMedia } from '../utils/media-info.js';
+import { canDecode, fitInside, JPEG_QUALITY } from '../utils/images.js';
+
+const envInt = (name, fallback) => {
+  const raw = process.env[name];
+  const n = raw != null ? parseInt(String(raw), 10) : NaN;
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+};
+
+const variantCache = createDiskCache({
+  dir: process.env.THUMBNAIL_CACHE_DIR || path.resolve(process.cwd(), 'data', 'thumbnail-cache'),
+  maxBytes: envInt('THUMBNAIL_CACHE_MAX_BYTES', 200 * 1024 * 1024),
+  name: 'thumbnail-cache'
+});
+
+const MAX_VARIANT_DIMENSION = 4096;
+
+/** GUIDs whose bytes turned out not to be JPEG/PNG (their daemon info had no usable MIME type). */
+const undecodable = new Set();
+const UNDECODABLE_MAX = 5000;
+
+/** Variants being produced, so a burst of requests for one thumbnail decodes it once. */
+const inFlight = new Map();
+
+const parseDimension = (value) => {
+  const n = parseInt(String(value ?? ''), 10);
+  return Number.isFinite(n) && n > 0 ? Math.min(n, MAX_VARIANT_DIMENSION) : null;
+};
+
+/**
+ * Resize options from a download query (official params: width, height, quality, original).
+ * Invalid values are ignored like the official server does.
+ * @param {Object} query - Express req.query
+ * @returns {{ width: number|null, height: number|null, quality: string }|null} null when no resize was asked for
+ */
+export function parseResizeQuery(query = {}) {
+  if (String(query.original).toLowerCase() === 'true') return null;
+  const width = parseDimension(query.width);
+  const height = parseDimension(query.height);
+  if (!width && !height) return null;
+  const quality = Object.hasOwn(JPEG_QUALITY, query.quality) ? query.quality : 'better';
+  return { width, height, quality };
+}
+
+function markUndecodable(guid) {
+  if (undecodable.size >= UNDECODABLE_MAX) undecodable.clear();
+  undecodable.add(guid);
+}
+
+async function produceVariant(guid, opts, cacheKey) {
+  // Sniffed type (from an earlier download) wins over a generic daemon MIME type
+  const info = attachmentMetadata.enrich(await swiftDaemon.getAttachmentInfo(guid));
+  if (!info) return null;
+  const mimeType = String(info.mimeType ?? info.mime_type ?? '').toLowerCase();
+  if (mimeType && mimeType !== 'application/octet-stream' && !canDecode(mimeType)) return null;
+
+  const query = { quality: opts.quality };
+  if (opts.width) query.width = opts.width;
+  if (opts.height) query.height = opts.height;
+  const original = await swiftDaemon.getAttachmentBuffer(guid, query);
+  const probe = probeMedia(original);
+  if (!canDecode(probe.mimeType) || !probe.width || !probe.height) {
+    markUndecodable(guid);
+    return null;
+  }
+
+  // Already the right size and upright (e.g. the daemon resized it): send the bytes without decoding them
+  const fit = fitInside(probe.width, probe.height, opts.width, opts.height);
+  let variant;
+  if (fit.width === probe.width && fit.height === probe.height && (probe.orientation ?? 1) === 1) {
+    variant = { data: original, width: probe.width, height: probe.height };
+  } else {
+    const resized = await runImageTask('downscale', { data: original, opts });
+    variant = { data: Buffer.from(resized.data.buffer, resized.data.byteOffset, resized.data.byteLength), width: resized.width, height: resized.height };
+  }
+  const { data, width, height } = variant;
+  const etag = etagFor(data);
+  variantCache.set(cacheKey, data, { guid, contentType: probe.mimeType, etag, width, height });
+  logger.debug(`Attachment variant ${guid} ${width}x${height} (${original.length} -> ${data.length} bytes)`);
+  return { data, contentType: probe.mimeType, etag, width, height };
+}
+
+/**
+ * Downscaled copy of an image attachment, fitting inside width x height (aspect ratio kept, never upscaled).
+ * @param {string} guid - Attachment GUID
+ * @param {{ width: number|null, height: number|null, quality: string }} opts - From parseResizeQuery
+ * @returns {Promise<{ data: Buffer, contentType: string, etag: string, width: number, height: number }|null>}
+ *   null when the attachment doesn't exist or isn't a JPEG/PNG (stream the daemon's response instead)
+ * @throws {Error} When the daemon request or decoding fails
+ */
+export async function getAttachmentVariant(guid, opts) {
+  if (undecodable.has(guid)) return null;
+  const cacheKey = `${guid}:${opts.width || ''}x${opts.height || ''}:${opts.quality}`;
+  const cached = variantCache.get(cacheKey);
+  if (cached) {
+    const { contentType, etag, width, height } = cached.meta;
+    return { data: cached.data, contentType, etag, width, height };
+  }
+  if (!inFlight.has(cacheKey)) {
+    inFlight.set(cacheKey, produceVariant(guid, opts, cacheKey).finally(() => inFlight.delete(cacheKey)));
+  }
+  return inFlight.get(cacheKey);
+}
+
+/** @returns {{ dir: string, entries: number, bytes: number, maxBytes: number }} */
+export const getVariantCacheStats = () => variantCache.stats();
+
+export default { parseResizeQuery, getAttachmentVariant, getVariantCacheStats };
@@ -0,0 +1,133 @@
+/**
+ * Find-or-create chats by participant addresses.
+ * Shared by POST /api/v1/chat/new and the start-chat socket event; resolveChatGuid is used by the send paths
+ * and the chat routes.
+ */
+import logger from '../config/logger.js';
+import swiftDaemon from './swift-daemon.js';
+import sendQueue from './send-queue.js';
+import { normalizeAddress } from '../utils/addresses.js';
+import { findChatByGuid } from '../utils/chats.js';
+
+export const CHAT_SERVICES = ['iMessage', 'SMS'];
+
+/** How long the chat list behind resolveChatGuid is reused before it is fetched again. */
+const CHAT_INDEX_TTL_MS = 60 * 1000;
+
+/** Daemon chat list plus the GUIDs resolved against it ({ chats, resolved: Map, at }), or a pending fetch. */
+let chatIndex = null;
+let chatIndexFetch = null;
+
+/** Forget the cached chat list (a chat was created, deleted or changed). */
+export function invalidateChatIndex() {
+  chatIndex = null;
+}
+
+async function getChatIndex() {
+  if (chatIndex && Date.now() - chatIndex.at < CHAT_INDEX_TTL_MS) return chatIndex;
+  if (!chatIndexFetch) {
+    chatIndexFetch = swiftDaemon.getChats()
+      .then((chats) => {
+        chatIndex = { chats, resolved: new Map(), at: Date.now() };
+        return chatIndex;
+      })
+      .finally(() => { chatIndexFetch = null; });
+  }
+  return chatIndexFetch;
+}
+
+/** Participant addresses of a daemon chat (falls back to the address in a 1:1 chat GUID). */
+function chatAddresses(chat) {
+  if (Array.isArray(chat?.participants) && chat.participants.length) {
+    return chat.participants.map(p => (typeof p === 'string' ? p : p?.address)).filter(Boolean);
+  }
+  const guid = chat?.guid || '';
+  const idx = guid.indexOf(';-;');
+  return idx >= 0 ? [guid.slice(idx + 3)] : [];
+}
+
+const serviceOf = (chat) => String(chat?.guid || '').split(';')[0] || null;
+
+function sameSet(a, b) {
+  if (a.size !== b.size) return false;
+  for (const v of a) if (!b.has(v)) return false;
+  return true;
+}
+
+/**
+ * Find the chat (1:1 or group) for exactly these participants on this service, or create it,
+ * then deliver the optional first message through the send queue.
+ * @param {Object} params
+ * @param {string[]} params.addresses - Participant addresses
+ * @param {string} [params.service] - iMessage (default) or SMS
+ * @param {string} [params.message] - Optional first message
+ * @param {string} [params.tempGuid] - Client tempGuid for the first message
+ * @param {string} [params.subject] - Subject line for the first message
+ * @returns {Promise<{ chat: Object, created: boolean, sent: Object|null, sendError: Error|null }>}
+ *   sent is the daemon send result; sendError is set when the chat exists but the first message failed
+ */
+export async function findOrCreateChat({ addresses, service = 'iMessage', message, tempGuid, subject } = {}) {
+  const normalized = [...new Set((addresses || []).map(normalizeAddress).filter(Boolean))];
+  if (!normalized.length) {
+    throw Object.assign(new Error('No addresses provided!'), { status: 400 });
+  }
+  const serviceType = CHAT_SERVICES.includes(service) ? service : 'iMessage';
+  const wanted = new Set(normalized);
+
+  const chats = await swiftDaemon.getChats();
+  let chat = chats.find(c =>
+    serviceOf(c) === serviceType && sameSet(new Set(chatAddresses(c).map(normalizeAddress)), wanted)
+  ) || null;
+
+  let created = false;
+  if (!chat) {
+    chat = await swiftDaemon.createChat(normalized, { service: serviceType });
+    if (!chat?.guid) throw new Error('Swift daemon did not return the created chat');
+    if (!Array.isArray(chat.participants)) chat.participants = normalized.map(address => ({ address }));
+    created = true;
+    invalidateChatIndex();
+    logger.info(`Created ${serviceType} chat ${chat.guid} for ${normalized.join(', ')}`);
+  }
+
+  let sent = null;
+  let sendError = null;
+  const text = message != null ? String(message).trim() : '';
+  if (text) {
+    try {
+      sent = await sendQueue.send({
+        tempGuid: tempGuid || `temp-${Date.now()}-${Math.random().toString(36).slice(2, 10)}`,
+        chatGuid: chat.guid,
+        text,
+        opts: subject ? { subject } : {}
+      });
+    } catch (error) {
+      logger.warn(`Initial message to ${chat.guid} failed: ${error.message}`);
+      sendError = error;
+    }
+  }
+
+  return { chat, created, sent, sendError };
+}
+
+/**
+ * Map a client chat GUID onto the daemon's GUID for the same chat, so a 1:1 GUID with a differently
+ * formatted address ("iMessage;-;(555) 123-4567") targets the existing chat. Unknown GUIDs are returned as-is.
+ * The chat list is fetched at most once per CHAT_INDEX_TTL_MS and each GUID is resolved once against it.
+ * @param {string} chatGuid - Chat GUID from the client
+ * @returns {Promise<string>}
+ */
+export async function resolveChatGuid(chatGuid) {
+  if (!chatGuid || !String(chatGuid).includes(';-;')) return chatGuid;
+  try {
+    const index = await getChatIndex();
+    if (!index.resolved.has(chatGuid)) {
+      index.resolved.set(chatGuid, findChatByGuid(index.chats, chatGuid)?.guid || chatGuid);
+    }
+    return index.resolved.get(chatGuid);
+  } catch (error) {
+    logger.debug(`Could not resolve chat GUID ${chatGuid}: ${error.message}`);
+    return chatGuid;
+  }
+}
+
+export default { findOrCreateChat, resolveChatGuid, invalidateChatIndex };
@@ -0,0 +1,141 @@
+/**
+ * Size-bounded on-disk LRU cache for derived binary data (resized avatars, thumbnails).
+ * Each entry is <sha1(key)>.bin plus a <sha1(key)>.json sidecar with its metadata; file mtime is the
+ * last-access time, so the least recently used entries are evicted first once maxBytes is exceeded.
+ */
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import logger from '../config/logger.js';
+
+/** Every cache created in this process, for storage reporting. */
+const caches = [];
+
+/**
+ * @param {Object} opts
+ * @param {string} opts.dir - Cache directory (created on first write)
+ * @param {number} opts.maxBytes - Total size of cached data before eviction
+ * @param {number} [opts.ttlMs] - Entries older than this are treated as missing (0 = no expiry)
+ * @param {string} [opts.name] - Name for log lines
+ */
+export function createDiskCache({ dir, maxBytes, ttlMs = 0, name = 'disk-cache' }) {
+  let totalBytes = null;
+
+  const fileFor = (key) => path.join(dir, crypto.createHash('sha1').update(String(key)).digest('hex'));
+
+  const removeEntry = (base) => {
+    for (const ext of ['.bin', '.json']) {
+      try { fs.unlinkSync(base + ext); } catch (_) {}
+    }
+  };
+
+  /** Entries on disk, oldest access first. */
+  const listEntries = () => {
+    let names;
+    try {
+      names = fs.readdirSync(dir);
+    } catch (_) {
+      return [];
+    }
+    return names
+      .filter(n => n.endsWith('.bin'))
+      .map((n) => {
+        const file = path.join(dir, n);
+        try {
+          const stat = fs.statSync(file);
+          return { base: file.slice(0, -4), size: stat.size, mtimeMs: stat.mtimeMs };
+        } catch (_) {
+          return null;
+        }
+      })
+      .filter(Boolean)
+      .sort((a, b) => a.mtimeMs - b.mtimeMs);
+  };
+
+  const ensureTotal = () => {
+    if (totalBytes == null) totalBytes = listEntries().reduce((sum, e) => sum + e.size, 0);
+  };
+
+  const evict = () => {
+    ensureTotal();
+    if (totalBytes <= maxBytes) return;
+    for (const entry of listEntries()) {
+      if (totalBytes <= maxBytes) break;
+      removeEntry(entry.base);
+      totalBytes -= entry.size;
+      logger.debug(`${name}: evicted ${path.basename(entry.base)} (${entry.size} bytes)`);
+    }
+  };
+
+  const cache = {
+    name,
+
+    /**
+     * @param {string} key
+     * @returns {{ data: Buffer, meta: Object }|null}
+     */
+    get(key) {
+      const base = fileFor(key);
+      let meta;
+      let data;
+      try {
+        meta = JSON.parse(fs.readFileSync(`${base}.json`, 'utf8'));
+        data = fs.readFileSync(`${base}.bin`);
+      } catch (_) {
+        return null;
+      }
+      if (ttlMs > 0 && Date.now() - (meta.createdAt || 0) > ttlMs) {
+        ensureTotal();
+        totalBytes -= data.length;
+        removeEntry(base);
+        return null;
+      }
+      const now = new Date();
+      try { fs.utimesSync(`${base}.bin`, now, now); } catch (_) {}
+      return { data, meta };
+    },
+
+    /**
+     * @param {string} key
+     * @param {Buffer} data
+     * @param {Object} [meta] - JSON-serializable metadata (e.g. contentType, etag)
+     */
+    set(key, data, meta = {}) {
+      if (data.length > maxBytes) return;
+      try {
+        fs.mkdirSync(dir, { recursive: true });
+        ensureTotal();
+        const base = fileFor(key);
+        let previous = 0;
+        try { previous = fs.statSync(`${base}.bin`).size; } catch (_) {}
+        fs.writeFileSync(`${base}.bin.tmp`, data);
+        fs.renameSync(`${base}.bin.tmp`, `${base}.bin`);
+        fs.writeFileSync(`${base}.json`, JSON.stringify({ ...meta, key: String(key), size: data.length, createdAt: Date.now() }));
+        totalBytes += data.length - previous;
+        evict();
+      } catch (error) {
+        logger.warn(`${name}: failed to cache ${key}: ${error.message}`);
+      }
+    },
+
+    /** Remove every entry. */
+    clear() {
+      for (const entry of listEntries()) removeEntry(entry.base);
+      totalBytes = 0;
+    },
+
+    /** @returns {{ dir: string, entries: number, bytes: number, maxBytes: number }} */
+    stats() {
+      const entries = listEntries();
+      totalBytes = entries.reduce((sum, e) => sum + e.size, 0);
+      return { dir, entries: entries.length, bytes: totalBytes, maxBytes };
+    }
+  };
+  caches.push(cache);
+  return cache;
+}
+
+/** @returns {Array<Object>} Caches created so far (each has name and stats()) */
+export const listDiskCaches = () => caches.slice();
+
+export default { createDiskCache, listDiskCaches };
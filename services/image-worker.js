@@ -0,0 +1,23 @@
+/**
+ * Image worker thread entry (see image-workers.js). Receives { op, args } and replies with { result } or { error }.
+ */
+import { parentPort } from 'worker_threads';
+import { computeBlurhash, downscaleImage } from '../utils/images.js';
+
+/** Buffers arrive as plain Uint8Arrays; the image helpers use Buffer methods. */
+const toBuffer = (data) => Buffer.from(data.buffer, data.byteOffset, data.byteLength);
+
+const TASKS = {
+  blurhash: ({ data, opts }) => computeBlurhash(toBuffer(data), opts),
+  downscale: ({ data, opts }) => downscaleImage(toBuffer(data), opts)
+};
+
+parentPort.on('message', ({ op, args }) => {
+  try {
+    const task = TASKS[op];
+    if (!task) throw new Error(`Unknown image task: ${op}`);
+    parentPort.postMessage({ result: task(args || {}) });
+  } catch (error) {
+    parentPort.postMessage({ error: error?.message ?? String(error) });
+  }
+});
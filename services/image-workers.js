@@ -0,0 +1,102 @@
+/**
+ * Worker-thread pool for CPU-heavy image work (JPEG/PNG decoding, resizing, encoding, blurhash).
+ * A 12 MP photo takes seconds to decode in pure JS; on the main thread that would freeze every REST and
+ * socket request. IMAGE_WORKERS threads run tasks (default: CPU count - 1, at least 1); further tasks wait
+ * in a FIFO queue. Idle workers exit after a minute so their decode buffers are released. Each worker's heap is
+ * capped (WORKER_HEAP_MB); a worker that runs out is replaced and only its task fails.
+ */
+import os from 'os';
+import { Worker } from 'worker_threads';
+import logger from '../config/logger.js';
+
+const WORKER_URL = new URL('./image-worker.js', import.meta.url);
+
+const POOL_SIZE = (() => {
+  const raw = process.env.IMAGE_WORKERS;
+  const n = raw != null ? parseInt(String(raw), 10) : NaN;
+  return Number.isFinite(n) && n > 0 ? n : Math.max(1, os.cpus().length - 1);
+})();
+const IDLE_TIMEOUT_MS = 60 * 1000;
+const WORKER_HEAP_MB = 512;
+
+const workers = new Set(); // { worker, task, idleTimer }
+const queue = []; // { op, args, resolve, reject }
+
+function retire(slot) {
+  workers.delete(slot);
+  if (slot.idleTimer) clearTimeout(slot.idleTimer);
+}
+
+function finish(slot, error, result) {
+  const { task } = slot;
+  slot.task = null;
+  if (task) {
+    if (error) task.reject(error);
+    else task.resolve(result);
+  }
+  if (workers.has(slot)) {
+    slot.idleTimer = setTimeout(() => {
+      retire(slot);
+      slot.worker.terminate();
+    }, IDLE_TIMEOUT_MS);
+    slot.idleTimer.unref?.();
+  }
+  dispatch();
+}
+
+function spawn() {
+  const slot = { worker: new Worker(WORKER_URL, { resourceLimits: { maxOldGenerationSizeMb: WORKER_HEAP_MB } }), task: null, idleTimer: null };
+  slot.worker.unref();
+  slot.worker.on('message', ({ result, error }) => {
+    finish(slot, error != null ? new Error(error) : null, result);
+  });
+  slot.worker.on('error', (error) => {
+    logger.error(`Image worker error: ${error.message}`);
+    retire(slot);
+    finish(slot, error);
+  });
+  slot.worker.on('exit', (code) => {
+    if (!workers.has(slot)) return;
+    retire(slot);
+    finish(slot, new Error(`Image worker exited with code ${code}`));
+  });
+  workers.add(slot);
+  return slot;
+}
+
+function dispatch() {
+  while (queue.length) {
+    let slot = Array.from(workers).find(s => !s.task);
+    if (!slot) {
+      if (workers.size >= POOL_SIZE) return;
+      slot = spawn();
+    }
+    if (slot.idleTimer) {
+      clearTimeout(slot.idleTimer);
+      slot.idleTimer = null;
+    }
+    slot.task = queue.shift();
+    slot.worker.postMessage({ op: slot.task.op, args: slot.task.args });
+  }
+}
+
+/**
+ * Run an image task on a worker thread.
+ * @param {'blurhash'|'downscale'} op - Task name (see image-worker.js)
+ * @param {Object} args - Task arguments; Buffers are copied to the worker
+ * @returns {Promise<*>} Task result (Buffers come back as Uint8Array)
+ */
+export function runImageTask(op, args) {
+  return new Promise((resolve, reject) => {
+    queue.push({ op, args, resolve, reject });
+    dispatch();
+  });
+}
+
+/** @returns {{ workers: number, busy: number, queued: number, poolSize: number }} */
+export function getImageWorkerStats() {
+  const all = Array.from(workers);
+  return { workers: all.length, busy: all.filter(s => s.task).length, queued: queue.length, poolSize: POOL_SIZE };
+}
+
+export default { runImageTask, getImageWorkerStats };
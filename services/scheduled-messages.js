@@ -0,0 +1,372 @@
+/**
+ * Scheduled messages (matches official BlueBubbles ScheduledMessage shape).
+ * Items are persisted to data/scheduled-messages.json and delivered through the send queue
+ * when they fall due. Recurring items are rescheduled after each send.
+ * Items that fell due while the bridge was down (beyond SCHEDULED_MISSED_GRACE_MS) are not sent late:
+ * they are marked as errors so clients can see the missed send, and recurring ones move on to their next occurrence.
+ */
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import logger from '../config/logger.js';
+import sendQueue, { QUEUE_STATES } from './send-queue.js';
+
+const SCHEDULE_PATH = process.env.SCHEDULED_MESSAGES_PATH
+  ? path.resolve(process.env.SCHEDULED_MESSAGES_PATH)
+  : path.resolve(process.cwd(), 'data', 'scheduled-messages.json');
+
+const MISSED_GRACE_MS = (() => {
+  const raw = process.env.SCHEDULED_MISSED_GRACE_MS;
+  const n = raw != null ? parseInt(String(raw), 10) : NaN;
+  // Default 1 minute
+  return Number.isFinite(n) && n >= 0 ? n : 60 * 1000;
+})();
+
+/** Upper bound for a single timer; the scheduler re-checks at least this often. */
+const MAX_TIMER_MS = 60 * 1000;
+/** How often to re-check items whose send was carried over from a previous run. */
+const RECONCILE_MS = 5 * 1000;
+
+export const SCHEDULE_STATUSES = {
+  PENDING: 'pending',
+  IN_PROGRESS: 'in-progress',
+  COMPLETE: 'complete',
+  ERROR: 'error'
+};
+
+export const INTERVAL_TYPES = ['hourly', 'daily', 'weekly', 'monthly', 'yearly'];
+
+const items = new Map(); // id -> scheduled message
+const inFlight = new Set(); // ids with a send awaited by this process
+let loaded = false;
+let timer = null;
+let hooks = {
+  onSent: () => {},
+  onError: () => {}
+};
+
+function load() {
+  if (loaded) return;
+  loaded = true;
+  try {
+    const parsed = JSON.parse(fs.readFileSync(SCHEDULE_PATH, 'utf8'));
+    for (const item of Array.isArray(parsed) ? parsed : []) {
+      if (!item?.id) continue;
+      // In-progress items are reconciled against the send queue on the next tick (see reconcile).
+      items.set(item.id, item);
+    }
+  } catch (error) {
+    if (error?.code !== 'ENOENT') logger.warn(`Failed to load scheduled messages: ${error.message}`);
+  }
+}
+
+function persist() {
+  try {
+    fs.mkdirSync(path.dirname(SCHEDULE_PATH), { recursive: true });
+    const tmpPath = `${SCHEDULE_PATH}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(Array.from(items.values())), 'utf8');
+    fs.renameSync(tmpPath, SCHEDULE_PATH);
+  } catch (error) {
+    logger.error(`Failed to persist scheduled messages: ${error.message}`);
+  }
+}
+
+/** Next occurrence of a recurring schedule strictly after `after`. */
+function nextOccurrence(from, schedule, after = Date.now()) {
+  const interval = Math.max(1, Number(schedule?.interval) || 1);
+  const date = new Date(from);
+  while (date.getTime() <= after) {
+    switch (schedule.intervalType) {
+      case 'hourly':
+        date.setHours(date.getHours() + interval);
+        break;
+      case 'daily':
+        date.setDate(date.getDate() + interval);
+        break;
+      case 'weekly':
+        date.setDate(date.getDate() + 7 * interval);
+        break;
+      case 'monthly':
+        date.setMonth(date.getMonth() + interval);
+        break;
+      case 'yearly':
+        date.setFullYear(date.getFullYear() + interval);
+        break;
+      default:
+        return null;
+    }
+  }
+  return date.getTime();
+}
+
+const isRecurring = (item) => item.schedule?.type === 'recurring';
+
+/**
+ * Validate and normalize a create/update body.
+ * Accepts the official shape ({ type, payload: { chatGuid, message }, scheduledFor, schedule })
+ * and the flat shape ({ chatGuid, text, attachmentPaths, sendAt, recurrence: 'daily' }).
+ * @param {Object} body
+ * @param {Object} [existing] - Current item when updating (missing fields are kept)
+ * @returns {{ value?: Object, error?: string }}
+ */
+export function normalizeScheduleInput(body = {}, existing = null) {
+  const payload = body.payload && typeof body.payload === 'object' ? body.payload : {};
+  const chatGuid = payload.chatGuid ?? body.chatGuid ?? existing?.payload?.chatGuid ?? null;
+  const rawText = payload.message ?? body.message ?? body.text;
+  const message = rawText != null ? String(rawText).trim() : (existing?.payload?.message ?? '');
+  const rawPaths = payload.attachmentPaths ?? body.attachmentPaths;
+  const attachmentPaths = Array.isArray(rawPaths)
+    ? rawPaths.filter(Boolean).map(String)
+    : (existing?.payload?.attachmentPaths ?? []);
+  const method = payload.method ?? body.method ?? existing?.payload?.method ?? 'apple-script';
+
+  const rawWhen = body.scheduledFor ?? body.sendAt;
+  const scheduledFor = rawWhen != null
+    ? (typeof rawWhen === 'number' ? rawWhen : (Number(rawWhen) || Date.parse(rawWhen)))
+    : existing?.scheduledFor;
+
+  let schedule = existing?.schedule ?? { type: 'once' };
+  if (body.schedule && typeof body.schedule === 'object') {
+    schedule = body.schedule.type === 'recurring'
+      ? { type: 'recurring', intervalType: body.schedule.intervalType, interval: Number(body.schedule.interval) || 1 }
+      : { type: 'once' };
+  } else if (body.recurrence != null) {
+    schedule = body.recurrence && body.recurrence !== 'once'
+      ? { type: 'recurring', intervalType: String(body.recurrence).toLowerCase(), interval: Number(body.interval) || 1 }
+      : { type: 'once' };
+  }
+
+  if (body.type != null && body.type !== 'send-message') {
+    return { error: 'Invalid scheduled message type! Only "send-message" is supported' };
+  }
+  if (!chatGuid) return { error: 'chatGuid is required' };
+  if (!message && attachmentPaths.length === 0) return { error: 'message text or attachmentPaths are required' };
+  if (!Number.isFinite(scheduledFor)) return { error: 'scheduledFor (Unix ms) is required' };
+  if (schedule.type === 'recurring' && !INTERVAL_TYPES.includes(schedule.intervalType)) {
+    return { error: `Invalid recurrence! Must be one of: ${INTERVAL_TYPES.join(', ')}` };
+  }
+  if (scheduledFor <= Date.now() && schedule.type !== 'recurring') {
+    return { error: 'Scheduled date must be in the future' };
+  }
+
+  return {
+    value: {
+      type: 'send-message',
+      payload: { chatGuid: String(chatGuid), message, attachmentPaths, method },
+      scheduledFor,
+      schedule
+    }
+  };
+}
+
+function notify(hook, item, extra) {
+  try {
+    hooks[hook]({ ...item }, extra);
+  } catch (error) {
+    logger.warn(`Scheduled message hook error: ${error.message}`);
+  }
+}
+
+function markMissed(item, now) {
+  item.error = `Missed scheduled send at ${new Date(item.scheduledFor).toISOString()} (bridge was offline)`;
+  logger.warn(`Scheduled message ${item.id}: ${item.error}`);
+  if (isRecurring(item)) {
+    item.scheduledFor = nextOccurrence(item.scheduledFor, item.schedule, now);
+    item.status = SCHEDULE_STATUSES.PENDING;
+  } else {
+    item.status = SCHEDULE_STATUSES.ERROR;
+  }
+  persist();
+  notify('onError', item, new Error(item.error));
+}
+
+/** Record the outcome of a send and move recurring items on to their next occurrence. */
+function finish(item, error, result) {
+  const dueAt = item.scheduledFor;
+  item.tempGuid = null;
+  if (error) {
+    item.error = error?.message ?? String(error);
+  } else {
+    item.sentAt = Date.now();
+    item.error = null;
+  }
+  if (isRecurring(item)) {
+    item.scheduledFor = nextOccurrence(dueAt, item.schedule);
+    item.status = SCHEDULE_STATUSES.PENDING;
+  } else {
+    item.status = error ? SCHEDULE_STATUSES.ERROR : SCHEDULE_STATUSES.COMPLETE;
+  }
+  persist();
+  if (error) {
+    logger.error(`Scheduled message ${item.id} failed: ${item.error}`);
+    notify('onError', item, error);
+  } else {
+    logger.info(`Scheduled message ${item.id} sent to ${item.payload.chatGuid}`);
+    notify('onSent', item, result);
+  }
+}
+
+async function deliver(item) {
+  // Stable per occurrence so a restart mid-send cannot deliver it twice
+  const tempGuid = `scheduled-${item.id}-${item.scheduledFor}`;
+  item.status = SCHEDULE_STATUSES.IN_PROGRESS;
+  item.tempGuid = tempGuid;
+  persist();
+  inFlight.add(item.id);
+  let error = null;
+  let result = null;
+  try {
+    result = await sendQueue.send({
+      tempGuid,
+      chatGuid: item.payload.chatGuid,
+      text: item.payload.message,
+      opts: { attachmentPaths: item.payload.attachmentPaths?.length ? item.payload.attachmentPaths : undefined }
+    });
+  } catch (err) {
+    error = err;
+  } finally {
+    inFlight.delete(item.id);
+  }
+  if (items.get(item.id) === item) finish(item, error, result);
+  scheduleTick();
+}
+
+/**
+ * An item left in-progress by a previous run: the send queue persisted the send and replays it,
+ * so follow its state instead of sending again.
+ */
+function reconcile(item) {
+  const queued = item.tempGuid ? sendQueue.get(item.tempGuid) : null;
+  if (!queued) {
+    finish(item, new Error('Scheduled send was interrupted and its outcome is unknown'));
+  } else if (queued.state === QUEUE_STATES.SENT) {
+    finish(item, null, queued.result);
+  } else if (queued.state === QUEUE_STATES.FAILED) {
+    finish(item, new Error(queued.lastError || 'Failed to send scheduled message'));
+  }
+  // Otherwise still queued/sending; check again on the next tick
+}
+
+function tick() {
+  timer = null;
+  const now = Date.now();
+  for (const item of items.values()) {
+    if (item.status === SCHEDULE_STATUSES.IN_PROGRESS) {
+      if (!inFlight.has(item.id)) reconcile(item);
+      continue;
+    }
+    if (item.status !== SCHEDULE_STATUSES.PENDING || item.scheduledFor > now) continue;
+    if (now - item.scheduledFor > MISSED_GRACE_MS) {
+      markMissed(item, now);
+    } else {
+      deliver(item);
+    }
+  }
+  scheduleTick();
+}
+
+function scheduleTick() {
+  if (timer) clearTimeout(timer);
+  const active = Array.from(items.values()).filter(i =>
+    i.status === SCHEDULE_STATUSES.PENDING || (i.status === SCHEDULE_STATUSES.IN_PROGRESS && !inFlight.has(i.id)));
+  if (!active.length) return;
+  const earliest = Math.min(...active.map(i => (i.status === SCHEDULE_STATUSES.PENDING ? i.scheduledFor : Date.now() + RECONCILE_MS)));
+  const delay = Math.min(Math.max(0, earliest - Date.now()), MAX_TIMER_MS);
+  timer = setTimeout(tick, delay);
+}
+
+/**
+ * Load scheduled messages, report sends missed while offline and start the scheduler.
+ * @param {Object} [opts]
+ * @param {Function} [opts.onSent] - (item, result) after a scheduled send succeeds
+ * @param {Function} [opts.onError] - (item, error) after a scheduled send fails or was missed
+ */
+function start(opts = {}) {
+  hooks = {
+    onSent: opts.onSent || (() => {}),
+    onError: opts.onError || (() => {})
+  };
+  load();
+  logger.info(`Scheduled messages: ${list({ status: SCHEDULE_STATUSES.PENDING }).length} pending`);
+  tick();
+}
+
+/**
+ * List scheduled messages ordered by scheduledFor.
+ * @param {Object} [opts]
+ * @param {string} [opts.status] - Only items with this status
+ */
+function list(opts = {}) {
+  load();
+  return Array.from(items.values())
+    .filter(item => !opts.status || item.status === opts.status)
+    .sort((a, b) => a.scheduledFor - b.scheduledFor)
+    .map(item => ({ ...item }));
+}
+
+/** @returns {Object|null} */
+function get(id) {
+  load();
+  const item = items.get(id);
+  return item ? { ...item } : null;
+}
+
+/**
+ * Create a scheduled message from a normalized value (see normalizeScheduleInput).
+ * @returns {Object} Stored item
+ */
+function create(value) {
+  load();
+  const item = {
+    id: crypto.randomUUID(),
+    ...value,
+    status: SCHEDULE_STATUSES.PENDING,
+    error: null,
+    sentAt: null,
+    created: Date.now()
+  };
+  if (isRecurring(item) && item.scheduledFor <= Date.now()) {
+    item.scheduledFor = nextOccurrence(item.scheduledFor, item.schedule);
+  }
+  items.set(item.id, item);
+  persist();
+  scheduleTick();
+  return { ...item };
+}
+
+/**
+ * Replace an item's payload/schedule and reset it to pending.
+ * @returns {Object|null} Updated item, or null when not found
+ */
+function update(id, value) {
+  load();
+  const item = items.get(id);
+  if (!item) return null;
+  Object.assign(item, value, { status: SCHEDULE_STATUSES.PENDING, error: null });
+  if (isRecurring(item) && item.scheduledFor <= Date.now()) {
+    item.scheduledFor = nextOccurrence(item.scheduledFor, item.schedule);
+  }
+  persist();
+  scheduleTick();
+  return { ...item };
+}
+
+/** @returns {boolean} True if removed */
+function remove(id) {
+  load();
+  const removed = items.delete(id);
+  if (removed) {
+    persist();
+    scheduleTick();
+  }
+  return removed;
+}
+
+export default {
+  start,
+  list,
+  get,
+  create,
+  update,
+  remove
+};
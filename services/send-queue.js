@@ -0,0 +1,410 @@
+/**
+ * Durable outbound send queue (replaces the in-memory send cache).
+ * Every send is persisted to data/send-queue.json with its state:
+ * - queued: waiting for its first attempt or for a retry (nextAttemptAt)
+ * - sending: handed to the Swift daemon
+ * - sent / failed: finished; kept for SEND_QUEUE_RETENTION_MS so tempGuid dedupe survives restarts
+ *
+ * Errors where the daemon cannot have sent the message (connection refused/reset, 502/503) are retried
+ * with exponential backoff. A timeout is final: the daemon may still have sent the message, and a retry
+ * would send it twice. For the same reason an item still sending when the bridge stopped is marked failed
+ * on load (retry() resends it on purpose); items still queued are replayed on start().
+ * The daemon receives the tempGuid on every attempt so it can drop a replay of a send it already made.
+ * Sends within one chat are delivered in order, one at a time; up to SEND_QUEUE_CONCURRENCY chats send at once.
+ */
+import fs from 'fs';
+import path from 'path';
+import logger from '../config/logger.js';
+import swiftDaemon from './swift-daemon.js';
+import attachmentMetadata from './attachment-metadata.js';
+
+const QUEUE_PATH = process.env.SEND_QUEUE_PATH
+  ? path.resolve(process.env.SEND_QUEUE_PATH)
+  : path.resolve(process.cwd(), 'data', 'send-queue.json');
+
+const MAX_ATTEMPTS = (() => {
+  const raw = process.env.SEND_QUEUE_MAX_ATTEMPTS;
+  const n = raw != null ? parseInt(String(raw), 10) : NaN;
+  return Number.isFinite(n) && n > 0 ? n : 5;
+})();
+const RETRY_BASE_MS = (() => {
+  const raw = process.env.SEND_QUEUE_RETRY_BASE_MS;
+  const n = raw != null ? parseInt(String(raw), 10) : NaN;
+  return Number.isFinite(n) && n > 0 ? n : 1000;
+})();
+const RETRY_MAX_MS = 60 * 1000;
+const CONCURRENCY = (() => {
+  const raw = process.env.SEND_QUEUE_CONCURRENCY;
+  const n = raw != null ? parseInt(String(raw), 10) : NaN;
+  return Number.isFinite(n) && n > 0 ? n : 4;
+})();
+const RETENTION_MS = (() => {
+  const raw = process.env.SEND_QUEUE_RETENTION_MS;
+  const n = raw != null ? parseInt(String(raw), 10) : NaN;
+  // Default 24 hours
+  return Number.isFinite(n) && n > 0 ? n : 24 * 60 * 60 * 1000;
+})();
+
+export const QUEUE_STATES = {
+  QUEUED: 'queued',
+  SENDING: 'sending',
+  SENT: 'sent',
+  FAILED: 'failed'
+};
+const QUEUED_OR_SENDING = [QUEUE_STATES.QUEUED, QUEUE_STATES.SENDING];
+
+// Not ECONNABORTED/ETIMEDOUT or 504: after a timeout the daemon may have sent the message anyway
+const TRANSIENT_CODES = new Set(['ECONNREFUSED', 'ECONNRESET', 'EPIPE', 'EAI_AGAIN']);
+const TRANSIENT_STATUSES = new Set([408, 429, 502, 503]);
+
+const items = new Map(); // tempGuid -> queue item
+const waiters = new Map(); // tempGuid -> { resolve, reject } for callers awaiting the outcome
+let loaded = false;
+const interrupted = []; // items found mid-send on load; reported once start() has the hooks
+const activeChats = new Set(); // chats with a send in flight
+let timer = null;
+let hooks = {
+  onBackgroundSent: () => {},
+  onBackgroundFailed: () => {}
+};
+
+function load() {
+  if (loaded) return;
+  loaded = true;
+  try {
+    const raw = fs.readFileSync(QUEUE_PATH, 'utf8');
+    const parsed = JSON.parse(raw);
+    for (const item of Array.isArray(parsed) ? parsed : []) {
+      if (!item?.tempGuid) continue;
+      // A send interrupted by a crash/restart may or may not have reached Messages.app: don't resend it blindly.
+      if (item.state === QUEUE_STATES.SENDING) {
+        item.state = QUEUE_STATES.FAILED;
+        item.lastError = 'Send was interrupted by a restart; the message may or may not have been sent';
+        item.updatedAt = Date.now();
+        interrupted.push(item);
+      }
+      items.set(item.tempGuid, item);
+    }
+  } catch (error) {
+    if (error?.code !== 'ENOENT') logger.warn(`Failed to load send queue: ${error.message}`);
+  }
+  if (interrupted.length) {
+    persist();
+    logger.warn(`Send queue: ${interrupted.length} send(s) were interrupted and marked failed; retry them to resend`);
+  }
+}
+
+function persist() {
+  try {
+    fs.mkdirSync(path.dirname(QUEUE_PATH), { recursive: true });
+    const tmpPath = `${QUEUE_PATH}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(Array.from(items.values())), 'utf8');
+    fs.renameSync(tmpPath, QUEUE_PATH);
+  } catch (error) {
+    logger.error(`Failed to persist send queue: ${error.message}`);
+  }
+}
+
+/** Drop finished items older than the retention window. */
+function prune() {
+  const cutoff = Date.now() - RETENTION_MS;
+  let removed = 0;
+  for (const [tempGuid, item] of items) {
+    if (QUEUED_OR_SENDING.includes(item.state)) continue;
+    if ((item.updatedAt ?? 0) < cutoff) {
+      items.delete(tempGuid);
+      removed += 1;
+    }
+  }
+  if (removed > 0) persist();
+}
+
+/**
+ * True when a daemon send error is worth retrying (connection failures, 502/503). Timeouts are not.
+ * @param {Error} error - Error thrown by swiftDaemon.sendMessage (carries status/code)
+ */
+export function isTransientError(error) {
+  const status = error?.status ?? error?.response?.status;
+  if (status != null) return TRANSIENT_STATUSES.has(Number(status));
+  return TRANSIENT_CODES.has(error?.code);
+}
+
+function backoffMs(attempts) {
+  return Math.min(RETRY_BASE_MS * 2 ** Math.max(0, attempts - 1), RETRY_MAX_MS);
+}
+
+function schedule(delayMs = 0) {
+  if (timer) clearTimeout(timer);
+  timer = setTimeout(() => {
+    timer = null;
+    processNext();
+  }, Math.max(0, delayMs));
+}
+
+/** Oldest ready item, skipping chats with a send in flight or whose earlier message is waiting on a retry. */
+function nextReadyItem(now) {
+  const queued = Array.from(items.values())
+    .filter(item => item.state === QUEUE_STATES.QUEUED)
+    .sort((a, b) => a.createdAt - b.createdAt);
+  const blockedChats = new Set(activeChats);
+  for (const item of queued) {
+    if (blockedChats.has(item.chatGuid)) continue;
+    if ((item.nextAttemptAt ?? 0) <= now) return item;
+    blockedChats.add(item.chatGuid);
+  }
+  return null;
+}
+
+function settle(item, error, result) {
+  const waiter = waiters.get(item.tempGuid);
+  waiters.delete(item.tempGuid);
+  if (waiter) {
+    if (error) waiter.reject(error);
+    else waiter.resolve(result);
+    return;
+  }
+  // Nobody is waiting (replayed after restart or retried via the API): let the server notify clients.
+  try {
+    if (error) hooks.onBackgroundFailed(serialize(item), error);
+    else hooks.onBackgroundSent(serialize(item), result);
+  } catch (hookError) {
+    logger.warn(`Send queue hook error: ${hookError.message}`);
+  }
+}
+
+/** Keep the sniffed types of sent files under the attachment GUIDs the daemon gave them. */
+async function recordSentAttachments(item, result) {
+  const { attachmentPaths } = serialize(item);
+  if (!attachmentPaths.length) return;
+  let attachments = result?.attachments;
+  if (!Array.isArray(attachments) && result?.guid) {
+    attachments = (await swiftDaemon.getMessage(result.guid))?.attachments;
+  }
+  attachmentMetadata.recordSentFiles(attachmentPaths, attachments);
+}
+
+async function attempt(item) {
+  item.state = QUEUE_STATES.SENDING;
+  item.attempts += 1;
+  item.updatedAt = Date.now();
+  persist();
+
+  try {
+    const result = await swiftDaemon.sendMessage(item.chatGuid, item.text, {
+      ...(item.opts || {}),
+      tempGuid: item.tempGuid
+    });
+    item.state = QUEUE_STATES.SENT;
+    item.result = result ?? null;
+    item.lastError = null;
+    item.updatedAt = Date.now();
+    persist();
+    settle(item, null, result);
+    recordSentAttachments(item, result).catch((error) => {
+      logger.debug(`Send queue: could not record attachment metadata for ${item.tempGuid}: ${error.message}`);
+    });
+  } catch (error) {
+    item.lastError = error?.message ?? String(error);
+    item.updatedAt = Date.now();
+    if (isTransientError(error) && item.attempts < MAX_ATTEMPTS) {
+      const delay = backoffMs(item.attempts);
+      item.state = QUEUE_STATES.QUEUED;
+      item.nextAttemptAt = Date.now() + delay;
+      persist();
+      logger.warn(`Send queue: transient failure for ${item.tempGuid} (attempt ${item.attempts}/${MAX_ATTEMPTS}); retrying in ${delay}ms`);
+      return;
+    }
+    item.state = QUEUE_STATES.FAILED;
+    persist();
+    logger.error(`Send queue: ${item.tempGuid} failed after ${item.attempts} attempt(s): ${item.lastError}`);
+    settle(item, error);
+  }
+}
+
+/** Start ready sends up to the concurrency limit; wake up again for the earliest retry. */
+function processNext() {
+  const now = Date.now();
+  while (activeChats.size < CONCURRENCY) {
+    const item = nextReadyItem(now);
+    if (!item) break;
+    activeChats.add(item.chatGuid);
+    attempt(item)
+      .catch(error => logger.error(`Send queue: ${item.tempGuid} attempt error: ${error.message}`))
+      .finally(() => {
+        activeChats.delete(item.chatGuid);
+        schedule(0);
+      });
+  }
+  const waiting = Array.from(items.values())
+    .filter(i => i.state === QUEUE_STATES.QUEUED && !activeChats.has(i.chatGuid) && (i.nextAttemptAt ?? now) > now);
+  if (waiting.length && activeChats.size < CONCURRENCY) {
+    schedule(Math.min(...waiting.map(i => i.nextAttemptAt)) - now);
+  }
+}
+
+function serialize(item) {
+  return {
+    tempGuid: item.tempGuid,
+    chatGuid: item.chatGuid,
+    text: item.text,
+    attachmentPaths: [
+      ...(item.opts?.attachmentPaths || []),
+      ...(item.opts?.parts || []).map(part => part.attachmentPath).filter(Boolean)
+    ],
+    selectedMessageGuid: item.opts?.selectedMessageGuid || null,
+    partIndex: item.opts?.partIndex ?? null,
+    state: item.state,
+    attempts: item.attempts,
+    lastError: item.lastError,
+    result: item.result,
+    createdAt: item.createdAt,
+    updatedAt: item.updatedAt,
+    nextAttemptAt: item.state === QUEUE_STATES.QUEUED ? item.nextAttemptAt : null
+  };
+}
+
+/**
+ * Load the queue from disk, report sends interrupted mid-flight as failed and replay queued ones.
+ * Call once at startup.
+ * @param {Object} [opts]
+ * @param {Function} [opts.onBackgroundSent] - (item, result) for sends nobody is awaiting (replays, API retries)
+ * @param {Function} [opts.onBackgroundFailed] - (item, error) for failed sends nobody is awaiting
+ */
+function start(opts = {}) {
+  hooks = {
+    onBackgroundSent: opts.onBackgroundSent || (() => {}),
+    onBackgroundFailed: opts.onBackgroundFailed || (() => {})
+  };
+  load();
+  prune();
+  for (const item of interrupted.splice(0)) {
+    settle(item, new Error(item.lastError));
+  }
+  const replay = Array.from(items.values()).filter(item => item.state === QUEUE_STATES.QUEUED);
+  if (replay.length) {
+    logger.info(`Send queue: replaying ${replay.length} unsent message(s)`);
+    schedule(0);
+  }
+  setInterval(prune, 60 * 60 * 1000).unref();
+}
+
+/**
+ * Queue a message and resolve with the daemon result once it is sent (rejects when it finally fails).
+ * A tempGuid that was already sent resolves with the stored result instead of sending twice.
+ * @param {Object} job
+ * @param {string} job.tempGuid - Client temp GUID (dedupe key)
+ * @param {string} job.chatGuid - Chat GUID
+ * @param {string} [job.text] - Message text
+ * @param {Object} [job.opts] - Extra swiftDaemon.sendMessage options (attachmentPaths, ...)
+ * @returns {Promise<Object>} Result from Swift daemon
+ */
+function send({ tempGuid, chatGuid, text = '', opts = {} }) {
+  load();
+  const existing = items.get(tempGuid);
+  if (existing?.state === QUEUE_STATES.SENT) {
+    logger.info(`Send queue: ${tempGuid} already sent; returning stored result`);
+    return Promise.resolve(existing.result);
+  }
+  if (existing && QUEUED_OR_SENDING.includes(existing.state)) {
+    return Promise.reject(new Error(`Message is already queued to be sent (Temp GUID: ${tempGuid})!`));
+  }
+
+  const now = Date.now();
+  items.set(tempGuid, {
+    tempGuid,
+    chatGuid,
+    text: text || '',
+    opts,
+    state: QUEUE_STATES.QUEUED,
+    attempts: 0,
+    lastError: null,
+    result: null,
+    createdAt: now,
+    updatedAt: now,
+    nextAttemptAt: now
+  });
+  persist();
+
+  const promise = new Promise((resolve, reject) => {
+    waiters.set(tempGuid, { resolve, reject });
+  });
+  schedule(0);
+  return promise;
+}
+
+/** True when the tempGuid is queued or currently sending (official "already queued" check). */
+function isPending(tempGuid) {
+  if (!tempGuid) return false;
+  load();
+  const item = items.get(tempGuid);
+  return Boolean(item && QUEUED_OR_SENDING.includes(item.state));
+}
+
+/**
+ * Get a queue item by tempGuid.
+ * @returns {Object|null}
+ */
+function get(tempGuid) {
+  load();
+  const item = items.get(tempGuid);
+  return item ? serialize(item) : null;
+}
+
+/**
+ * List queue items, oldest first.
+ * @param {Object} [opts]
+ * @param {string} [opts.state] - Only items in this state
+ * @param {string} [opts.chatGuid] - Only items for this chat
+ */
+function list(opts = {}) {
+  load();
+  return Array.from(items.values())
+    .filter(item => !opts.state || item.state === opts.state)
+    .filter(item => !opts.chatGuid || item.chatGuid === opts.chatGuid)
+    .sort((a, b) => a.createdAt - b.createdAt)
+    .map(serialize);
+}
+
+/**
+ * Remove a queued or failed item. In-flight sends cannot be cancelled.
+ * @returns {boolean} True if removed
+ */
+function cancel(tempGuid) {
+  load();
+  const item = items.get(tempGuid);
+  if (!item || item.state === QUEUE_STATES.SENDING) return false;
+  items.delete(tempGuid);
+  persist();
+  const waiter = waiters.get(tempGuid);
+  waiters.delete(tempGuid);
+  if (waiter) waiter.reject(new Error('Message send was cancelled'));
+  logger.info(`Send queue: cancelled ${tempGuid}`);
+  return true;
+}
+
+/**
+ * Put a failed item back in the queue with a fresh attempt budget.
+ * @returns {boolean} True if re-queued
+ */
+function retry(tempGuid) {
+  load();
+  const item = items.get(tempGuid);
+  if (!item || item.state !== QUEUE_STATES.FAILED) return false;
+  item.state = QUEUE_STATES.QUEUED;
+  item.attempts = 0;
+  item.nextAttemptAt = Date.now();
+  item.updatedAt = Date.now();
+  persist();
+  schedule(0);
+  return true;
+}
+
+export default {
+  start,
+  send,
+  isPending,
+  get,
+  list,
+  cancel,
+  retry
+};
@@ -0,0 +1,299 @@
+/**
+ * Storage manager for attachment files the bridge writes (uploads, inline socket attachments, built
+ * chunked uploads). Every file is recorded in data/storage-manifest.json when written; a periodic sweep
+ * deletes them by age and disk quota:
+ * - files never sent (e.g. an upload that was never used) after STORAGE_UNSENT_MAX_AGE_MS
+ * - sent files after STORAGE_SENT_RETENTION_MS, or earlier (oldest first) when STORAGE_QUOTA_BYTES is exceeded
+ * Files referenced by send-queue items that weren't sent (including failed ones, which stay retryable until
+ * cancelled or pruned) or by pending scheduled messages are never deleted, and no file is deleted before
+ * ATTACHMENT_DELETE_DELAY_MS so Messages.app can read it (prevents "Not Delivered").
+ * Whether a file was sent is taken from the send queue during the sweep.
+ */
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import logger from '../config/logger.js';
+import sendQueue, { QUEUE_STATES } from './send-queue.js';
+import scheduledMessages, { SCHEDULE_STATUSES } from './scheduled-messages.js';
+import { CHUNKS_DIR } from './attachment-uploads.js';
+import { listDiskCaches } from './disk-cache.js';
+import { probeFile } from './attachment-metadata.js';
+import { getPrivateApiDir, resolveAttachmentPaths } from '../utils/attachments.js';
+
+const MANIFEST_PATH = path.resolve(process.cwd(), 'data', 'storage-manifest.json');
+
+/** Temp dir older bridge versions uploaded direct-send attachments to; anything left there is an orphan. */
+const TEMP_UPLOAD_DIR = path.join(os.tmpdir(), 'bluebubbles-uploads');
+
+const envInt = (name, fallback) => {
+  const raw = process.env[name];
+  const n = raw != null ? parseInt(String(raw), 10) : NaN;
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+};
+
+const QUOTA_BYTES = envInt('STORAGE_QUOTA_BYTES', 2 * 1024 * 1024 * 1024);
+const SENT_RETENTION_MS = envInt('STORAGE_SENT_RETENTION_MS', 7 * 24 * 60 * 60 * 1000);
+const UNSENT_MAX_AGE_MS = envInt('STORAGE_UNSENT_MAX_AGE_MS', 24 * 60 * 60 * 1000);
+const MIN_AGE_MS = envInt('ATTACHMENT_DELETE_DELAY_MS', 10 * 60 * 1000);
+const SWEEP_INTERVAL_MS = Math.max(60 * 1000, envInt('STORAGE_SWEEP_INTERVAL_MS', 60 * 60 * 1000));
+
+const files = new Map(); // resolved path -> { path, bytes, mimeType, uti, media, kind, createdAt, sentAt }
+let loaded = false;
+let timer = null;
+let quotaSweepPending = false;
+let lastSweep = null;
+
+function load() {
+  if (loaded) return;
+  loaded = true;
+  try {
+    const parsed = JSON.parse(fs.readFileSync(MANIFEST_PATH, 'utf8'));
+    for (const entry of Array.isArray(parsed) ? parsed : []) {
+      if (entry?.path) files.set(entry.path, entry);
+    }
+  } catch (error) {
+    if (error?.code !== 'ENOENT') logger.warn(`Failed to load storage manifest: ${error.message}`);
+  }
+}
+
+function persist() {
+  try {
+    fs.mkdirSync(path.dirname(MANIFEST_PATH), { recursive: true });
+    const tmpPath = `${MANIFEST_PATH}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(Array.from(files.values())), 'utf8');
+    fs.renameSync(tmpPath, MANIFEST_PATH);
+  } catch (error) {
+    logger.error(`Failed to persist storage manifest: ${error.message}`);
+  }
+}
+
+const trackedBytes = () => Array.from(files.values()).reduce((sum, f) => sum + (f.bytes || 0), 0);
+
+/** Delete a file and its per-upload directory when that is now empty (private API dir layout is <uuid>/<name>). */
+function unlinkFile(filePath) {
+  try {
+    fs.unlinkSync(filePath);
+  } catch (error) {
+    if (error?.code !== 'ENOENT') {
+      logger.warn(`Failed to delete ${filePath}: ${error.message}`);
+      return false;
+    }
+  }
+  const dir = path.dirname(filePath);
+  if (path.dirname(dir) === path.resolve(getPrivateApiDir())) {
+    try { fs.rmdirSync(dir); } catch (_) {}
+  }
+  return true;
+}
+
+/**
+ * Record a file the bridge wrote so the sweep can manage it. The file's type is sniffed from its bytes.
+ * @param {string} filePath
+ * @param {Object} [opts]
+ * @param {string} [opts.kind] - Where it came from (upload, message-attachment, inline, chunked)
+ * @returns {Object|undefined} Manifest entry ({ path, bytes, mimeType, uti, media, kind, createdAt, sentAt })
+ */
+export function track(filePath, opts = {}) {
+  if (!filePath) return undefined;
+  load();
+  const resolved = path.resolve(filePath);
+  const { mimeType = null, uti = null, totalBytes = 0, ...media } = probeFile(resolved) || {};
+  const entry = { path: resolved, bytes: totalBytes, mimeType, uti, media, kind: opts.kind || 'upload', createdAt: Date.now(), sentAt: null };
+  files.set(resolved, entry);
+  persist();
+  // Don't wait for the next periodic sweep once uploads push usage over the quota
+  if (trackedBytes() > QUOTA_BYTES && !quotaSweepPending) {
+    quotaSweepPending = true;
+    setImmediate(() => {
+      quotaSweepPending = false;
+      sweep();
+    });
+  }
+  return entry;
+}
+
+/** Paths still needed by sends that haven't happened yet. */
+function referencedPaths() {
+  const referenced = new Set();
+  for (const item of sendQueue.list()) {
+    if (item.state === QUEUE_STATES.SENT) continue;
+    for (const p of item.attachmentPaths || []) referenced.add(path.resolve(p));
+  }
+  for (const item of scheduledMessages.list()) {
+    if (item.status === SCHEDULE_STATUSES.COMPLETE || item.status === SCHEDULE_STATUSES.ERROR) continue;
+    for (const p of resolveAttachmentPaths(item.payload?.attachmentPaths || [])) referenced.add(path.resolve(p));
+  }
+  return referenced;
+}
+
+/** sentAt for tracked files that went out since the last sweep. */
+function markSentFromQueue() {
+  let changed = false;
+  for (const item of sendQueue.list({ state: QUEUE_STATES.SENT })) {
+    for (const p of item.attachmentPaths || []) {
+      const entry = files.get(path.resolve(p));
+      if (entry && !entry.sentAt) {
+        entry.sentAt = item.updatedAt || Date.now();
+        changed = true;
+      }
+    }
+  }
+  return changed;
+}
+
+/** Remove files left in the legacy temp upload dir. */
+function sweepTempUploads(now) {
+  let removed = 0;
+  let names;
+  try {
+    names = fs.readdirSync(TEMP_UPLOAD_DIR);
+  } catch (_) {
+    return 0;
+  }
+  for (const name of names) {
+    const filePath = path.join(TEMP_UPLOAD_DIR, name);
+    try {
+      const stat = fs.statSync(filePath);
+      if (now - stat.mtimeMs <= UNSENT_MAX_AGE_MS) continue;
+      fs.rmSync(filePath, { recursive: true, force: true });
+      removed += 1;
+    } catch (_) {}
+  }
+  return removed;
+}
+
+/**
+ * Apply the age and quota policy once.
+ * @param {number} [now]
+ * @returns {{ at: number, removedFiles: number, freedBytes: number, skippedReferenced: number }}
+ */
+export function sweep(now = Date.now()) {
+  load();
+  let changed = markSentFromQueue();
+  const referenced = referencedPaths();
+  let removedFiles = 0;
+  let freedBytes = 0;
+  let skippedReferenced = 0;
+
+  const drop = (entry) => {
+    if (!unlinkFile(entry.path)) return false;
+    files.delete(entry.path);
+    removedFiles += 1;
+    freedBytes += entry.bytes || 0;
+    changed = true;
+    return true;
+  };
+
+  for (const entry of Array.from(files.values())) {
+    if (!fs.existsSync(entry.path)) {
+      files.delete(entry.path);
+      changed = true;
+      continue;
+    }
+    if (referenced.has(entry.path)) {
+      skippedReferenced += 1;
+      continue;
+    }
+    const age = now - entry.createdAt;
+    if (age < MIN_AGE_MS) continue;
+    const expired = entry.sentAt
+      ? now - entry.sentAt > SENT_RETENTION_MS
+      : age > UNSENT_MAX_AGE_MS;
+    if (expired) drop(entry);
+  }
+
+  // Over quota: delete sent files first, then unsent ones, oldest first
+  let used = trackedBytes();
+  if (used > QUOTA_BYTES) {
+    const candidates = Array.from(files.values())
+      .filter(e => !referenced.has(e.path) && now - e.createdAt >= MIN_AGE_MS)
+      .sort((a, b) => (a.sentAt ? 0 : 1) - (b.sentAt ? 0 : 1) || (a.sentAt || a.createdAt) - (b.sentAt || b.createdAt));
+    for (const entry of candidates) {
+      if (used <= QUOTA_BYTES) break;
+      if (drop(entry)) used -= entry.bytes || 0;
+    }
+    if (used > QUOTA_BYTES) {
+      logger.warn(`Attachment storage is over quota (${used} of ${QUOTA_BYTES} bytes) with only in-use or recent files left`);
+    }
+  }
+
+  removedFiles += sweepTempUploads(now);
+  if (changed) persist();
+  lastSweep = { at: now, removedFiles, freedBytes, skippedReferenced };
+  if (removedFiles) logger.info(`Storage sweep removed ${removedFiles} file(s), freed ${freedBytes} bytes`);
+  return lastSweep;
+}
+
+/** Total size and file count under a directory (recursive). */
+function directoryUsage(dir) {
+  let bytes = 0;
+  let count = 0;
+  const walk = (current) => {
+    let entries;
+    try {
+      entries = fs.readdirSync(current, { withFileTypes: true });
+    } catch (_) {
+      return;
+    }
+    for (const entry of entries) {
+      const full = path.join(current, entry.name);
+      if (entry.isDirectory()) walk(full);
+      else if (entry.isFile()) {
+        try {
+          bytes += fs.statSync(full).size;
+          count += 1;
+        } catch (_) {}
+      }
+    }
+  };
+  walk(dir);
+  return { path: dir, bytes, files: count };
+}
+
+/**
+ * Usage report for GET /api/v1/server/storage.
+ * @returns {Object}
+ */
+export function getUsage() {
+  load();
+  markSentFromQueue();
+  const referenced = referencedPaths();
+  const entries = Array.from(files.values());
+  const sum = (list) => list.reduce((total, e) => total + (e.bytes || 0), 0);
+  const sent = entries.filter(e => e.sentAt);
+  const unsent = entries.filter(e => !e.sentAt);
+  const inUse = entries.filter(e => referenced.has(e.path));
+  return {
+    quotaBytes: QUOTA_BYTES,
+    usedBytes: sum(entries),
+    tracked: {
+      files: entries.length,
+      sent: { files: sent.length, bytes: sum(sent) },
+      unsent: { files: unsent.length, bytes: sum(unsent) },
+      referenced: { files: inUse.length, bytes: sum(inUse) }
+    },
+    policy: {
+      sentRetentionMs: SENT_RETENTION_MS,
+      unsentMaxAgeMs: UNSENT_MAX_AGE_MS,
+      minAgeMs: MIN_AGE_MS,
+      sweepIntervalMs: SWEEP_INTERVAL_MS
+    },
+    directories: {
+      privateApi: directoryUsage(getPrivateApiDir()),
+      uploadSessions: directoryUsage(CHUNKS_DIR),
+      tempUploads: directoryUsage(TEMP_UPLOAD_DIR)
+    },
+    caches: listDiskCaches().map(cache => ({ name: cache.name, ...cache.stats() })),
+    lastSweep
+  };
+}
+
+/** Sweep now and every STORAGE_SWEEP_INTERVAL_MS. Call once at startup, after the send queue has started. */
+export function start() {
+  if (timer) return;
+  sweep();
+  timer = setInterval(() => sweep(), SWEEP_INTERVAL_MS);
+  timer.unref?.();
+}
+
+export default { start, track, sweep, getUsage };
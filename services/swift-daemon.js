@@ -2,6 +2,30 @@ import axios from 'axios';
 import logger from '../config/logger.js';
 import { resolveAttachmentPaths } from '../utils/attachments.js';
 
+/** Image types that can carry a Live Photo companion video. */
+const LIVE_PHOTO_MIME_TYPES = new Set(['image/heic', 'image/heif', 'image/jpeg']);
+
+/** How long a Live Photo lookup is remembered (a missing .mov may still be downloading). */
+const LIVE_PHOTO_CACHE_TTL_MS = 10 * 60 * 1000;
+const LIVE_PHOTO_CACHE_MAX = 5000;
+
+/** A chat update that succeeded with 204 or an empty body has no details, but it isn't "not found". */
+const updatedChat = (data) => (data && typeof data === 'object' ? data : {});
+
+/** Contact fields in the daemon's snake_case shape; undefined fields are omitted so updates stay partial. */
+function toDaemonContact(contact = {}) {
+  const body = {
+    first_name: contact.firstName,
+    last_name: contact.lastName,
+    display_name: contact.displayName,
+    nickname: contact.nickname,
+    birthday: contact.birthday,
+    phones: contact.phoneNumbers,
+    emails: contact.emails
+  };
+  return Object.fromEntries(Object.entries(body).filter(([, v]) => v !== undefined));
+}
+
 /**
  * IPC Client to communicate with Swift daemon
  * Handles all communication with localhost:8081
@@ -10,6 +34,7 @@ class SwiftDaemonClient {
   constructor(baseUrl = process.env.SWIFT_DAEMON_URL || 'http://localhost:8081') {
     this.baseUrl = baseUrl;
     this.supportsUpdates = true;
+    this.livePhotoCache = new Map();
     this.axios = axios.create({
       baseURL: baseUrl,
       timeout: 30000,
@@ -26,8 +51,10 @@ class SwiftDaemonClient {
         const requestUrl = error?.config?.url || '';
         const isUpdatesRequest = requestUrl.includes('/messages/updates');
         const isUnsupported = status === 404 || status === 501;
+        // Most photos have no Live Photo video; a 404 there is an answer, not an error
+        const isMissingLivePhoto = status === 404 && requestUrl.endsWith('/live');
 
-        if (!(isUpdatesRequest && isUnsupported)) {
+        if (!(isUpdatesRequest && isUnsupported) && !isMissingLivePhoto) {
           logger.error(`Swift daemon error: ${error.message}`);
         }
         throw error;
@@ -66,6 +93,213 @@ class SwiftDaemonClient {
     }
   }
 
+  /**
+   * Create a chat with the given participants
+   * @param {string[]} addresses - Participant addresses (phone numbers / emails)
+   * @param {Object} [opts]
+   * @param {string} [opts.service] - iMessage or SMS (default iMessage)
+   * @returns {Promise<Object>} Created chat object (includes guid and participants)
+   */
+  async createChat(addresses, opts = {}) {
+    try {
+      const response = await this.axios.post('/chats', {
+        addresses,
+        service: opts.service || 'iMessage'
+      });
+      logger.info(`Created chat ${response.data?.guid ?? '(unknown guid)'} with ${addresses.length} participant(s)`);
+      return response.data;
+    } catch (error) {
+      logger.error(`Failed to create chat: ${error.message}`);
+      throw new Error('Failed to create chat via Swift daemon');
+    }
+  }
+
+  /**
+   * Rename a group chat
+   * @param {string} chatGuid - Chat GUID
+   * @param {string} displayName - New group name
+   * @returns {Promise<Object|null>} Updated chat object ({} when the daemon sends no body) or null if not found
+   */
+  async renameGroup(chatGuid, displayName) {
+    try {
+      const response = await this.axios.put(`/chats/${encodeURIComponent(chatGuid)}`, {
+        display_name: displayName
+      });
+      logger.info(`Renamed group ${chatGuid}`);
+      return updatedChat(response.data);
+    } catch (error) {
+      if (error?.response?.status === 404) return null;
+      logger.error(`Failed to rename group ${chatGuid}: ${error.message}`);
+      throw new Error('Failed to rename group via Swift daemon');
+    }
+  }
+
+  /**
+   * Add a participant (phone/email) to a group chat
+   * @param {string} chatGuid - Chat GUID
+   * @param {string} address - Participant address
+   * @returns {Promise<Object|null>} Updated chat object ({} when the daemon sends no body) or null if not found
+   */
+  async addParticipant(chatGuid, address) {
+    try {
+      const response = await this.axios.post(`/chats/${encodeURIComponent(chatGuid)}/participants/add`, {
+        address
+      });
+      logger.info(`Added participant ${address} to ${chatGuid}`);
+      return updatedChat(response.data);
+    } catch (error) {
+      if (error?.response?.status === 404) return null;
+      logger.error(`Failed to add participant to ${chatGuid}: ${error.message}`);
+      throw new Error('Failed to add participant via Swift daemon');
+    }
+  }
+
+  /**
+   * Remove a participant (phone/email) from a group chat
+   * @param {string} chatGuid - Chat GUID
+   * @param {string} address - Participant address
+   * @returns {Promise<Object|null>} Updated chat object ({} when the daemon sends no body) or null if not found
+   */
+  async removeParticipant(chatGuid, address) {
+    try {
+      const response = await this.axios.post(`/chats/${encodeURIComponent(chatGuid)}/participants/remove`, {
+        address
+      });
+      logger.info(`Removed participant ${address} from ${chatGuid}`);
+      return updatedChat(response.data);
+    } catch (error) {
+      if (error?.response?.status === 404) return null;
+      logger.error(`Failed to remove participant from ${chatGuid}: ${error.message}`);
+      throw new Error('Failed to remove participant via Swift daemon');
+    }
+  }
+
+  /**
+   * Delete a chat (conversation) on the Mac
+   * @param {string} chatGuid - Chat GUID
+   * @returns {Promise<boolean>} true if deleted, false if not found
+   */
+  async deleteChat(chatGuid) {
+    try {
+      await this.axios.delete(`/chats/${encodeURIComponent(chatGuid)}`);
+      logger.info(`Deleted chat ${chatGuid}`);
+      return true;
+    } catch (error) {
+      if (error?.response?.status === 404) return false;
+      logger.error(`Failed to delete chat ${chatGuid}: ${error.message}`);
+      throw new Error('Failed to delete chat via Swift daemon');
+    }
+  }
+
+  /**
+   * Archive or unarchive a chat
+   * @param {string} chatGuid - Chat GUID
+   * @param {boolean} archived - true = archive, false = unarchive
+   * @returns {Promise<Object|null>} Updated chat object ({} when the daemon sends no body) or null if not found
+   */
+  async setChatArchived(chatGuid, archived) {
+    try {
+      const response = await this.axios.post(`/chats/${encodeURIComponent(chatGuid)}/${archived ? 'archive' : 'unarchive'}`);
+      logger.info(`${archived ? 'Archived' : 'Unarchived'} chat ${chatGuid}`);
+      return updatedChat(response.data);
+    } catch (error) {
+      if (error?.response?.status === 404) return null;
+      logger.error(`Failed to ${archived ? 'archive' : 'unarchive'} chat ${chatGuid}: ${error.message}`);
+      throw new Error(`Failed to ${archived ? 'archive' : 'unarchive'} chat via Swift daemon`);
+    }
+  }
+
+  /**
+   * Leave a group chat
+   * @param {string} chatGuid - Chat GUID
+   * @returns {Promise<Object|null>} Updated chat object ({} when the daemon sends no body) or null if not found
+   */
+  async leaveChat(chatGuid) {
+    try {
+      const response = await this.axios.post(`/chats/${encodeURIComponent(chatGuid)}/leave`);
+      logger.info(`Left chat ${chatGuid}`);
+      return updatedChat(response.data);
+    } catch (error) {
+      if (error?.response?.status === 404) return null;
+      logger.error(`Failed to leave chat ${chatGuid}: ${error.message}`);
+      throw new Error('Failed to leave chat via Swift daemon');
+    }
+  }
+
+  /**
+   * Fetch a group chat's photo
+   * @param {string} chatGuid - Chat GUID
+   * @returns {Promise<{ data: Buffer, contentType: string|null }|null>} Icon bytes, or null if the chat has no icon
+   */
+  async getChatIcon(chatGuid) {
+    try {
+      const response = await this.axios.get(`/chats/${encodeURIComponent(chatGuid)}/icon`, {
+        responseType: 'arraybuffer',
+        timeout: 30000
+      });
+      const data = Buffer.from(response.data);
+      if (!data.length) return null;
+      return { data, contentType: response.headers?.['content-type'] || null };
+    } catch (error) {
+      if (error?.response?.status === 404) return null;
+      logger.error(`Failed to get icon for chat ${chatGuid}: ${error.message}`);
+      throw new Error('Failed to get chat icon from Swift daemon');
+    }
+  }
+
+  /**
+   * Set a group chat's photo from a local image file
+   * @param {string} chatGuid - Chat GUID
+   * @param {string} filePath - Absolute path to the image (the daemon copies it)
+   * @returns {Promise<boolean>} true if set, false if the chat was not found
+   */
+  async setChatIcon(chatGuid, filePath) {
+    try {
+      await this.axios.post(`/chats/${encodeURIComponent(chatGuid)}/icon`, { path: filePath });
+      logger.info(`Set icon for chat ${chatGuid}`);
+      return true;
+    } catch (error) {
+      if (error?.response?.status === 404) return false;
+      logger.error(`Failed to set icon for chat ${chatGuid}: ${error.message}`);
+      throw new Error('Failed to set chat icon via Swift daemon');
+    }
+  }
+
+  /**
+   * Remove a group chat's photo
+   * @param {string} chatGuid - Chat GUID
+   * @returns {Promise<boolean>} true if removed, false if the chat was not found
+   */
+  async removeChatIcon(chatGuid) {
+    try {
+      await this.axios.delete(`/chats/${encodeURIComponent(chatGuid)}/icon`);
+      logger.info(`Removed icon for chat ${chatGuid}`);
+      return true;
+    } catch (error) {
+      if (error?.response?.status === 404) return false;
+      logger.error(`Failed to remove icon for chat ${chatGuid}: ${error.message}`);
+      throw new Error('Failed to remove chat icon via Swift daemon');
+    }
+  }
+
+  /**
+   * Mark a chat read or unread on the Mac (clears or restores the unread badge)
+   * @param {string} chatGuid - Chat GUID
+   * @param {boolean} read - true = read, false = unread
+   * @returns {Promise<Object|null>} Updated chat object (with unreadCount; {} when the daemon sends no body) or null if not found
+   */
+  async setChatReadStatus(chatGuid, read) {
+    try {
+      const response = await this.axios.post(`/chats/${encodeURIComponent(chatGuid)}/${read ? 'read' : 'unread'}`);
+      logger.info(`Marked chat ${chatGuid} ${read ? 'read' : 'unread'}`);
+      return updatedChat(response.data);
+    } catch (error) {
+      if (error?.response?.status === 404) return null;
+      logger.error(`Failed to mark chat ${chatGuid} ${read ? 'read' : 'unread'}: ${error.message}`);
+      throw new Error(`Failed to mark chat ${read ? 'read' : 'unread'} via Swift daemon`);
+    }
+  }
+
   /**
    * Get messages for a specific chat
    * @param {string} chatGuid - Chat GUID
@@ -87,6 +321,137 @@ class SwiftDaemonClient {
     }
   }
 
+  /**
+   * Get a single message by GUID (includes chatGuid and attachments)
+   * @param {string} guid - Message GUID
+   * @returns {Promise<Object|null>} Message object or null if not found
+   */
+  async getMessage(guid) {
+    try {
+      const response = await this.axios.get(`/messages/${encodeURIComponent(guid)}`);
+      return response.data;
+    } catch (error) {
+      if (error?.response?.status === 404) return null;
+      logger.error(`Failed to fetch message ${guid}: ${error.message}`);
+      throw new Error('Failed to fetch message');
+    }
+  }
+
+  /**
+   * Edit a sent message (iMessage edit, macOS 13+)
+   * @param {string} guid - Message GUID
+   * @param {string} editedMessage - New text
+   * @param {Object} [opts]
+   * @param {string} [opts.backwardsCompatibilityMessage] - Text shown on devices without edit support
+   * @param {number} [opts.partIndex] - Message part to edit (default 0)
+   * @returns {Promise<Object|null>} Updated message or null if not found
+   */
+  async editMessage(guid, editedMessage, opts = {}) {
+    try {
+      const response = await this.axios.post(`/messages/${encodeURIComponent(guid)}/edit`, {
+        edited_message: editedMessage,
+        backwards_compatibility_message: opts.backwardsCompatibilityMessage ?? `Edited to "${editedMessage}"`,
+        part_index: opts.partIndex ?? 0
+      });
+      logger.info(`Edited message ${guid}`);
+      return response.data;
+    } catch (error) {
+      if (error?.response?.status === 404) return null;
+      logger.error(`Failed to edit message ${guid}: ${error.message}`);
+      throw new Error('Failed to edit message via Swift daemon');
+    }
+  }
+
+  /**
+   * Unsend a sent message (iMessage unsend, macOS 13+)
+   * @param {string} guid - Message GUID
+   * @param {Object} [opts]
+   * @param {number} [opts.partIndex] - Message part to unsend (default 0)
+   * @returns {Promise<Object|null>} Updated message or null if not found
+   */
+  async unsendMessage(guid, opts = {}) {
+    try {
+      const response = await this.axios.post(`/messages/${encodeURIComponent(guid)}/unsend`, {
+        part_index: opts.partIndex ?? 0
+      });
+      logger.info(`Unsent message ${guid}`);
+      return response.data;
+    } catch (error) {
+      if (error?.response?.status === 404) return null;
+      logger.error(`Failed to unsend message ${guid}: ${error.message}`);
+      throw new Error('Failed to unsend message via Swift daemon');
+    }
+  }
+
+  /**
+   * Get handles (rows of the Messages handle table)
+   * @param {Object} [opts]
+   * @param {string} [opts.address] - Only handles whose address matches
+   * @returns {Promise<Array>} Array of handle objects
+   */
+  async getHandles(opts = {}) {
+    try {
+      const params = {};
+      if (opts.address) params.address = opts.address;
+      const response = await this.axios.get('/handles', { params });
+      return Array.isArray(response.data) ? response.data : [];
+    } catch (error) {
+      logger.error(`Failed to fetch handles: ${error.message}`);
+      throw new Error('Failed to fetch handles from Swift daemon');
+    }
+  }
+
+  /**
+   * Get a single handle
+   * @param {string} guid - Handle GUID (e.g. "iMessage;-;+15551234567") or address
+   * @returns {Promise<Object|null>} Handle object or null if not found
+   */
+  async getHandle(guid) {
+    try {
+      const response = await this.axios.get(`/handles/${encodeURIComponent(guid)}`);
+      return response.data;
+    } catch (error) {
+      if (error?.response?.status === 404) return null;
+      logger.error(`Failed to fetch handle ${guid}: ${error.message}`);
+      throw new Error('Failed to fetch handle from Swift daemon');
+    }
+  }
+
+  /**
+   * Check whether an address is registered with iMessage or FaceTime
+   * @param {string} address - Phone number or email
+   * @param {string} [service] - 'iMessage' (default) or 'FaceTime'
+   * @returns {Promise<{ available: boolean, online?: boolean }>}
+   */
+  async getHandleAvailability(address, service = 'iMessage') {
+    try {
+      const response = await this.axios.get('/handles/availability', {
+        params: { address, service },
+        timeout: 30000
+      });
+      return response.data || {};
+    } catch (error) {
+      logger.error(`Failed to check ${service} availability for ${address}: ${error.message}`);
+      throw new Error('Failed to check handle availability via Swift daemon');
+    }
+  }
+
+  /**
+   * Get the Focus status shared by a handle
+   * @param {string} address - Phone number or email
+   * @returns {Promise<Object|null>} { focused } or null when the daemon cannot tell
+   */
+  async getHandleFocus(address) {
+    try {
+      const response = await this.axios.get(`/handles/${encodeURIComponent(address)}/focus`);
+      return response.data || null;
+    } catch (error) {
+      if (error?.response?.status === 404) return null;
+      logger.error(`Failed to fetch focus status for ${address}: ${error.message}`);
+      throw new Error('Failed to fetch focus status from Swift daemon');
+    }
+  }
+
   /**
    * Get contacts from Swift daemon (supports limit, offset, extraProperties like NativeBackend)
    * @param {Object} [opts]
@@ -127,12 +492,104 @@ class SwiftDaemonClient {
   }
 
   /**
-   * Send message via AppleScript
+   * Fetch a contact's image, optionally scaled down by the daemon to fit width x height
+   * @param {string} id - Contact identifier
+   * @param {Object} [opts]
+   * @param {number} [opts.width]
+   * @param {number} [opts.height]
+   * @returns {Promise<{ data: Buffer, contentType: string|null }|null>} Image bytes, or null if the contact has no image
+   */
+  async getContactAvatar(id, opts = {}) {
+    try {
+      const params = {};
+      if (opts.width) params.width = opts.width;
+      if (opts.height) params.height = opts.height;
+      const response = await this.axios.get(`/contacts/${encodeURIComponent(id)}/avatar`, {
+        params,
+        responseType: 'arraybuffer'
+      });
+      const data = Buffer.from(response.data);
+      if (!data.length) return null;
+      return { data, contentType: response.headers?.['content-type'] || null };
+    } catch (error) {
+      if (error?.response?.status === 404) return null;
+      logger.error(`Failed to fetch avatar for contact ${id}: ${error.message}`);
+      throw new Error('Failed to fetch contact avatar from Swift daemon');
+    }
+  }
+
+  /**
+   * Create a contact in the Mac address book
+   * @param {Object} contact
+   * @param {string} [contact.firstName]
+   * @param {string} [contact.lastName]
+   * @param {string} [contact.displayName]
+   * @param {string} [contact.nickname]
+   * @param {string} [contact.birthday]
+   * @param {string[]} [contact.phoneNumbers]
+   * @param {string[]} [contact.emails]
+   * @returns {Promise<Object>} Created contact (with id)
+   */
+  async createContact(contact) {
+    try {
+      const response = await this.axios.post('/contacts', toDaemonContact(contact));
+      logger.info(`Created contact ${response.data?.id ?? '(no id)'}`);
+      return response.data;
+    } catch (error) {
+      logger.error(`Failed to create contact: ${error.message}`);
+      throw new Error('Failed to create contact via Swift daemon');
+    }
+  }
+
+  /**
+   * Update fields of a contact; fields not present in changes are left untouched
+   * (phoneNumbers/emails, when present, replace the full list)
+   * @param {string} id - Contact identifier
+   * @param {Object} changes - Same fields as createContact
+   * @returns {Promise<Object|null>} Updated contact or null if not found
+   */
+  async updateContact(id, changes) {
+    try {
+      const response = await this.axios.patch(`/contacts/${encodeURIComponent(id)}`, toDaemonContact(changes));
+      logger.info(`Updated contact ${id}`);
+      return response.data;
+    } catch (error) {
+      if (error?.response?.status === 404) return null;
+      logger.error(`Failed to update contact ${id}: ${error.message}`);
+      throw new Error('Failed to update contact via Swift daemon');
+    }
+  }
+
+  /**
+   * Delete a contact from the Mac address book
+   * @param {string} id - Contact identifier
+   * @returns {Promise<boolean>} true if deleted, false if not found
+   */
+  async deleteContact(id) {
+    try {
+      await this.axios.delete(`/contacts/${encodeURIComponent(id)}`);
+      logger.info(`Deleted contact ${id}`);
+      return true;
+    } catch (error) {
+      if (error?.response?.status === 404) return false;
+      logger.error(`Failed to delete contact ${id}: ${error.message}`);
+      throw new Error('Failed to delete contact via Swift daemon');
+    }
+  }
+
+  /**
+   * Send message (AppleScript by default; opts.method selects private-api)
    * @param {string} chatGuid - Chat GUID
    * @param {string} text - Message text
    * @param {Object} [opts] - Optional payload
    * @param {string[]} [opts.attachmentPaths] - POSIX paths to files to attach
    * @param {string} [opts.tempGuid] - Client-generated GUID for deduplication
+   * @param {string} [opts.selectedMessageGuid] - Message being replied to (inline reply thread)
+   * @param {number} [opts.partIndex] - Part of the selected message being replied to (default 0)
+   * @param {string} [opts.subject] - Subject line
+   * @param {string} [opts.effectId] - expressiveSendStyleId (see utils/effects.js)
+   * @param {string} [opts.method] - apple-script or private-api
+   * @param {Object[]} [opts.parts] - Multipart message parts in send order ({ partIndex, text, attachmentPath, attachmentName, mention })
    * @returns {Promise<Object>} Result from Swift daemon
    */
   async sendMessage(chatGuid, text, opts = {}) {
@@ -146,12 +603,60 @@ class SwiftDaemonClient {
         logger.info(`Sending to daemon with attachment_paths: ${body.attachment_paths.join(', ')}`);
       }
       if (opts.tempGuid) body.temp_guid = opts.tempGuid;
+      if (opts.selectedMessageGuid) {
+        body.selected_message_guid = opts.selectedMessageGuid;
+        body.part_index = opts.partIndex ?? 0;
+      }
+      if (opts.subject) body.subject = opts.subject;
+      if (opts.effectId) body.effect_id = opts.effectId;
+      if (opts.method) body.method = opts.method;
+      if (Array.isArray(opts.parts) && opts.parts.length) {
+        body.parts = opts.parts.map(part => ({
+          part_index: part.partIndex,
+          text: part.text || '',
+          attachment_path: part.attachmentPath ? resolveAttachmentPaths([part.attachmentPath])[0] : undefined,
+          attachment_name: part.attachmentName || undefined,
+          mention: part.mention || undefined
+        }));
+      }
       const response = await this.axios.post('/send', body);
       logger.info(`Message sent to chat ${chatGuid}`);
       return response.data;
     } catch (error) {
       logger.error(`Failed to send message: ${error.message}`);
-      throw new Error('Failed to send message via Swift daemon');
+      const sendError = new Error('Failed to send message via Swift daemon');
+      // Keep transport details so the send queue can tell transient failures apart
+      sendError.status = error?.response?.status;
+      sendError.code = error?.code;
+      throw sendError;
+    }
+  }
+
+  /**
+   * Send a tapback (reaction) to a message
+   * @param {string} chatGuid - Chat GUID
+   * @param {string} selectedMessageGuid - GUID of the message being reacted to
+   * @param {string} reaction - love, like, dislike, laugh, emphasize, question (or "-" prefixed removal)
+   * @param {Object} [opts] - Optional payload
+   * @param {number} [opts.partIndex] - Message part the reaction targets (default 0)
+   * @param {string} [opts.selectedMessageText] - Text of the selected message (used by AppleScript fallback)
+   * @returns {Promise<Object>} Result from Swift daemon (resulting reaction message)
+   */
+  async sendReaction(chatGuid, selectedMessageGuid, reaction, opts = {}) {
+    try {
+      const body = {
+        chat_guid: chatGuid,
+        selected_message_guid: selectedMessageGuid,
+        reaction,
+        part_index: Number.isFinite(opts.partIndex) ? opts.partIndex : 0
+      };
+      if (opts.selectedMessageText) body.selected_message_text = opts.selectedMessageText;
+      const response = await this.axios.post('/react', body);
+      logger.info(`Reaction ${reaction} sent to message ${selectedMessageGuid} in chat ${chatGuid}`);
+      return response.data;
+    } catch (error) {
+      logger.error(`Failed to send reaction: ${error.message}`);
+      throw new Error('Failed to send reaction via Swift daemon');
     }
   }
 
@@ -251,14 +756,16 @@ class SwiftDaemonClient {
   }
 
   /**
-   * Fetch attachment as buffer (for socket get-attachment with loadData).
+   * Fetch attachment as buffer (for socket get-attachment with loadData, blurhash and resized variants).
    * @param {string} guid - Attachment GUID
+   * @param {Object} [query] - Optional query params to forward (e.g. width, height, quality)
    * @returns {Promise<Buffer>} File bytes
    */
-  async getAttachmentBuffer(guid) {
+  async getAttachmentBuffer(guid, query = {}) {
     const response = await this.axios.get(`/attachments/${encodeURIComponent(guid)}`, {
       responseType: 'arraybuffer',
-      timeout: 60000
+      timeout: 60000,
+      params: query
     });
     return Buffer.from(response.data);
   }
@@ -280,6 +787,58 @@ class SwiftDaemonClient {
     return Buffer.from(response.data);
   }
 
+  /**
+   * Whether an attachment is a Live Photo, i.e. a HEIC/JPEG with a paired .mov next to it.
+   * Uses the daemon's hasLivePhoto flag when the info has one, otherwise asks the daemon for the
+   * companion video (HEAD /attachments/:guid/live). Results are cached briefly.
+   * @param {string} guid - Attachment GUID
+   * @param {Object} [info] - Attachment info if already fetched (skips a lookup for non-images)
+   * @returns {Promise<boolean>}
+   */
+  async hasLivePhoto(guid, info = null) {
+    const mimeType = String(info?.mimeType ?? info?.mime_type ?? '').toLowerCase();
+    if (info && !LIVE_PHOTO_MIME_TYPES.has(mimeType)) return false;
+    const flag = info?.hasLivePhoto ?? info?.has_live_photo;
+    if (typeof flag === 'boolean') return flag;
+
+    const cached = this.livePhotoCache.get(guid);
+    if (cached && Date.now() - cached.at < LIVE_PHOTO_CACHE_TTL_MS) return cached.value;
+    let value;
+    try {
+      await this.axios.head(`/attachments/${encodeURIComponent(guid)}/live`);
+      value = true;
+    } catch (error) {
+      if (error?.response?.status !== 404) {
+        logger.warn(`Failed to check Live Photo for ${guid}: ${error.message}`);
+        return false;
+      }
+      value = false;
+    }
+    if (this.livePhotoCache.size >= LIVE_PHOTO_CACHE_MAX) this.livePhotoCache.clear();
+    this.livePhotoCache.set(guid, { value, at: Date.now() });
+    return value;
+  }
+
+  /**
+   * Stream the Live Photo companion video (.mov) of an attachment (GET /attachments/:guid/live).
+   * @param {string} guid - Attachment GUID
+   * @param {Object} [opts]
+   * @param {Object} [opts.headers] - Optional headers to pass through (e.g. Range)
+   * @returns {Promise<Object|null>} Axios response with response.data as stream, or null if there is no video
+   */
+  async getLivePhotoStream(guid, opts = {}) {
+    try {
+      return await this.axios.get(`/attachments/${encodeURIComponent(guid)}/live`, {
+        responseType: 'stream',
+        timeout: 60000,
+        headers: opts?.headers || undefined
+      });
+    } catch (error) {
+      if (error?.response?.status === 404) return null;
+      throw error;
+    }
+  }
+
   /**
    * Get database statistics totals (handles, messages, chats, attachments)
    * @param {Object} [opts]
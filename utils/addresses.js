@@ -0,0 +1,120 @@
+/**
+ * Address (handle) normalization shared by chat, contact, handle and message lookups.
+ * Phone numbers become E.164 ("(555) 123-4567" -> "+15551234567") using ADDRESS_DEFAULT_REGION for
+ * numbers without a country code; emails are lowercased; short codes stay as bare digits.
+ */
+
+/** Calling code and trunk prefix per region (ISO 3166-1 alpha-2). */
+const REGIONS = {
+  US: { code: '1', trunk: '1' },
+  CA: { code: '1', trunk: '1' },
+  GB: { code: '44', trunk: '0' },
+  IE: { code: '353', trunk: '0' },
+  AU: { code: '61', trunk: '0' },
+  NZ: { code: '64', trunk: '0' },
+  DE: { code: '49', trunk: '0' },
+  FR: { code: '33', trunk: '0' },
+  NL: { code: '31', trunk: '0' },
+  BE: { code: '32', trunk: '0' },
+  CH: { code: '41', trunk: '0' },
+  AT: { code: '43', trunk: '0' },
+  IT: { code: '39', trunk: '' },
+  ES: { code: '34', trunk: '' },
+  PT: { code: '351', trunk: '' },
+  SE: { code: '46', trunk: '0' },
+  NO: { code: '47', trunk: '' },
+  DK: { code: '45', trunk: '' },
+  FI: { code: '358', trunk: '0' },
+  PL: { code: '48', trunk: '' },
+  IN: { code: '91', trunk: '0' },
+  JP: { code: '81', trunk: '0' },
+  KR: { code: '82', trunk: '0' },
+  CN: { code: '86', trunk: '0' },
+  HK: { code: '852', trunk: '' },
+  SG: { code: '65', trunk: '' },
+  BR: { code: '55', trunk: '0' },
+  MX: { code: '52', trunk: '' },
+  ZA: { code: '27', trunk: '0' },
+  IL: { code: '972', trunk: '0' }
+};
+
+export const DEFAULT_REGION = (() => {
+  const raw = String(process.env.ADDRESS_DEFAULT_REGION || '').trim().toUpperCase();
+  return REGIONS[raw] ? raw : 'US';
+})();
+
+/** Short codes (SMS senders like "72975") are 3–6 digits with no country code. */
+const SHORT_CODE_RE = /^\d{3,6}$/;
+
+/** Characters people use to format phone numbers. */
+const FORMATTING_RE = /[\s().\-\u00a0\u2010-\u2015\u202a-\u202e\u2066-\u2069]/g;
+
+export const isEmail = (value) => /^[^\s@]+@[^\s@]+$/.test(String(value ?? '').trim());
+
+/**
+ * Whether an address is an SMS short code.
+ * @param {string} value - Raw address
+ * @returns {boolean}
+ */
+export function isShortCode(value) {
+  const stripped = String(value ?? '').trim().replace(FORMATTING_RE, '');
+  return SHORT_CODE_RE.test(stripped);
+}
+
+/**
+ * Canonical form of an address for comparison and lookups.
+ * Numbers that cannot be placed in a region (wrong length for NANP) are returned as bare digits.
+ * Alphanumeric sender IDs are lowercased.
+ * @param {string} address - Phone number, email, short code or sender ID (a "tel:"/"mailto:" prefix is ignored)
+ * @param {Object} [opts]
+ * @param {string} [opts.region] - Region for numbers without a country code (default ADDRESS_DEFAULT_REGION)
+ * @returns {string} Normalized address ('' when empty)
+ */
+export function normalizeAddress(address, opts = {}) {
+  const value = String(address ?? '').replace(/[\r\n]/g, '').trim().replace(/^(tel|mailto|sms):/i, '');
+  if (!value) return '';
+  if (value.includes('@')) return value.toLowerCase();
+
+  const stripped = value.replace(FORMATTING_RE, '');
+  if (!/^\+?\d+$/.test(stripped)) return value.toLowerCase();
+  if (stripped.startsWith('+')) return `+${stripped.slice(1)}`;
+  if (stripped.startsWith('00') && stripped.length > 4) return `+${stripped.slice(2)}`;
+  if (SHORT_CODE_RE.test(stripped)) return stripped;
+
+  const regionKey = String(opts.region || DEFAULT_REGION).toUpperCase();
+  const region = REGIONS[regionKey] || REGIONS[DEFAULT_REGION];
+  if (region.code === '1') {
+    if (stripped.length === 10) return `+1${stripped}`;
+    if (stripped.length === 11 && stripped.startsWith('1')) return `+${stripped}`;
+    return stripped;
+  }
+  if (region.trunk && stripped.startsWith(region.trunk)) {
+    return `+${region.code}${stripped.slice(region.trunk.length)}`;
+  }
+  if (stripped.startsWith(region.code) && stripped.length > region.code.length + 6) {
+    return `+${stripped}`;
+  }
+  return `+${region.code}${stripped}`;
+}
+
+/**
+ * Whether two addresses refer to the same handle.
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+export function addressesEqual(a, b) {
+  const na = normalizeAddress(a);
+  return na !== '' && na === normalizeAddress(b);
+}
+
+/**
+ * Address part of a 1:1 chat GUID ("iMessage;-;+123" -> "+123"); null for group chats.
+ * @param {string} guid - Chat GUID
+ * @returns {string|null}
+ */
+export function addressFromChatGuid(guid) {
+  const value = String(guid ?? '');
+  const idx = value.indexOf(';-;');
+  return idx >= 0 ? value.slice(idx + 3).trim() : null;
+}
@@ -5,6 +5,7 @@
 
 import path from 'path';
 import os from 'os';
+import { enrich } from '../services/attachment-metadata.js';
 
 /**
  * Parse BlueBubbles "with" query param (comma-separated; can be URL-encoded).
@@ -32,9 +33,11 @@ export function withIncludesAttachment(withParam) {
 /**
  * Normalize a single attachment from daemon to official BlueBubbles AttachmentResponse shape.
  * Daemon may send camelCase or snake_case; client expects camelCase.
+ * Values the daemon leaves empty are filled from the bridge's sniffed attachment metadata.
  */
-export function normalizeAttachment(a) {
-  if (a == null || typeof a !== 'object') return null;
+export function normalizeAttachment(attachment) {
+  if (attachment == null || typeof attachment !== 'object') return null;
+  const a = enrich(attachment);
   const guid = a.guid ?? a.GUID ?? null;
   if (guid == null) return null;
   return {
@@ -43,7 +46,10 @@ export function normalizeAttachment(a) {
     uti: a.uti ?? '',
     mimeType: a.mimeType ?? a.mime_type ?? 'application/octet-stream',
     transferName: a.transferName ?? a.transfer_name ?? '',
-    totalBytes: a.totalBytes ?? a.total_bytes ?? 0
+    totalBytes: a.totalBytes ?? a.total_bytes ?? 0,
+    width: a.width ?? 0,
+    height: a.height ?? 0,
+    metadata: a.metadata ?? null
   };
 }
 
@@ -0,0 +1,52 @@
+/**
+ * BlueBubbles-compatible chat helpers shared by REST routes and socket events.
+ */
+import { addressFromChatGuid, addressesEqual } from './addresses.js';
+
+/**
+ * Unread state of a daemon chat (daemon may send camelCase or snake_case).
+ * @param {Object} chat - Daemon chat
+ * @returns {{ unreadCount: number, hasUnreadMessage: boolean }}
+ */
+export function toUnreadState(chat) {
+  const raw = chat?.unreadCount ?? chat?.unread_count;
+  const unreadCount = Number.isFinite(Number(raw)) ? Math.max(0, Number(raw)) : 0;
+  const flag = chat?.hasUnreadMessage ?? chat?.has_unread_message;
+  return {
+    unreadCount,
+    hasUnreadMessage: flag != null ? Boolean(flag) : unreadCount > 0
+  };
+}
+
+/**
+ * Payload for chat-read-status-changed. `read` is the state the daemon reports after the change;
+ * `status` mirrors it for clients that send/expect the toggle-chat-read-status shape.
+ * @param {string} chatGuid
+ * @param {Object|null} chat - Chat returned by the daemon after the change
+ * @param {boolean} requestedRead - Fallback when the daemon returns no unread info
+ */
+export function toReadStatusPayload(chatGuid, chat, requestedRead) {
+  const hasInfo = chat && (chat.unreadCount != null || chat.unread_count != null ||
+    chat.hasUnreadMessage != null || chat.has_unread_message != null);
+  const { unreadCount, hasUnreadMessage } = hasInfo
+    ? toUnreadState(chat)
+    : { unreadCount: requestedRead ? 0 : 1, hasUnreadMessage: !requestedRead };
+  return { chatGuid, read: !hasUnreadMessage, status: !hasUnreadMessage, unreadCount, hasUnreadMessage };
+}
+
+/**
+ * Find a chat by exact GUID, or a 1:1 chat whose address matches the GUID's address once normalized
+ * (so "iMessage;-;(555) 123-4567" finds "iMessage;-;+15551234567").
+ * @param {Array} chats - Daemon chats
+ * @param {string} chatGuid - Requested chat GUID
+ * @returns {Object|null}
+ */
+export function findChatByGuid(chats, chatGuid) {
+  const exact = chats.find(c => c.guid === chatGuid);
+  if (exact) return exact;
+  const wanted = addressFromChatGuid(chatGuid);
+  if (!wanted) return null;
+  const service = String(chatGuid).split(';')[0];
+  const matches = chats.filter(c => addressesEqual(addressFromChatGuid(c.guid), wanted));
+  return matches.find(c => String(c.guid).split(';')[0] === service) || matches[0] || null;
+}
@@ -0,0 +1,123 @@
+/**
+ * Contact search ranking for GET /api/v1/contact/search.
+ * Matching is case- and diacritic-insensitive ("jose" finds "José"), prefers whole-name and word-prefix
+ * matches, and tolerates small typos in longer words. Phone numbers match on digits, emails on the text.
+ */
+import { normalizeAddress } from './addresses.js';
+
+/** Lowercase and strip diacritics. */
+export const foldText = (value) =>
+  String(value ?? '')
+    .normalize('NFD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .trim();
+
+const words = (value) => foldText(value).split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+
+/** Optimal string alignment distance (Levenshtein plus adjacent transpositions), capped at max + 1. */
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  const prev2 = new Array(b.length + 1).fill(0);
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        cur[j] = Math.min(cur[j], prev2[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, cur[j]);
+    }
+    if (rowMin > max) return max + 1;
+    for (let j = 0; j <= b.length; j++) prev2[j] = prev[j];
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+/** Typos allowed for a query word of this length (none for short words, where they match too much). */
+const allowedTypos = (length) => (length >= 8 ? 2 : length >= 4 ? 1 : 0);
+
+/** Score one query word against one name word: exact 1, prefix 0.9, fuzzy (whole word or prefix) 0.6 / 0.5. */
+function scoreWord(queryWord, word) {
+  if (word === queryWord) return 1;
+  if (word.startsWith(queryWord)) return 0.9;
+  const max = allowedTypos(queryWord.length);
+  if (!max) return 0;
+  if (editDistance(queryWord, word, max) <= max) return 0.6;
+  if (word.length > queryWord.length && editDistance(queryWord, word.slice(0, queryWord.length), max) <= max) return 0.5;
+  return 0;
+}
+
+/** Every query word has to match some word of the name; the name score is the mean of the best matches. */
+function scoreName(queryWords, name) {
+  const nameWords = words(name);
+  if (!nameWords.length) return 0;
+  let total = 0;
+  for (const qw of queryWords) {
+    const best = Math.max(...nameWords.map(w => scoreWord(qw, w)));
+    if (!best) return 0;
+    total += best;
+  }
+  const score = total / queryWords.length;
+  // Whole-name prefix ("ann sm" -> "Ann Smith") ranks above the same words matched out of order
+  return foldText(name).startsWith(queryWords.join(' ')) ? Math.min(1, score + 0.05) : score;
+}
+
+function scoreAddresses(query, contact) {
+  let best = 0;
+  const digits = query.replace(/\D/g, '');
+  if (digits.length >= 3 && !/[a-z]/i.test(query)) {
+    for (const { address } of contact.phoneNumbers || []) {
+      const candidates = [String(address).replace(/\D/g, ''), normalizeAddress(address).replace(/\D/g, '')];
+      if (candidates.some(c => c === digits)) best = Math.max(best, 0.95);
+      else if (candidates.some(c => c.startsWith(digits) || c.endsWith(digits))) best = Math.max(best, 0.8);
+      else if (candidates.some(c => c.includes(digits))) best = Math.max(best, 0.6);
+    }
+  }
+  const folded = foldText(query);
+  if (folded.length >= 2) {
+    for (const { address } of contact.emails || []) {
+      const email = foldText(address);
+      if (email === folded) best = Math.max(best, 0.95);
+      else if (email.startsWith(folded)) best = Math.max(best, 0.8);
+      else if (email.includes(folded)) best = Math.max(best, 0.6);
+    }
+  }
+  return best;
+}
+
+/**
+ * Rank contacts (mapContact shape) for a query. Display name matches weigh most, then first/last name,
+ * then nickname; phone and email matches are scored separately and the best field wins.
+ * @param {Array<Object>} contacts
+ * @param {string} query
+ * @param {Object} [opts]
+ * @param {number} [opts.limit] - Max results (default 25)
+ * @returns {Array<{ contact: Object, score: number }>} Best first; ties sorted by display name
+ */
+export function searchContacts(contacts, query, opts = {}) {
+  const limit = opts.limit ?? 25;
+  const queryWords = words(query);
+  if (!queryWords.length && !String(query ?? '').replace(/\D/g, '')) return [];
+
+  const results = [];
+  for (const contact of contacts) {
+    const fullName = [contact.firstName, contact.lastName].filter(Boolean).join(' ');
+    const score = Math.max(
+      queryWords.length ? scoreName(queryWords, contact.displayName) : 0,
+      queryWords.length ? scoreName(queryWords, fullName) * 0.98 : 0,
+      queryWords.length ? scoreName(queryWords, contact.nickname) * 0.9 : 0,
+      scoreAddresses(String(query), contact)
+    );
+    if (score > 0) results.push({ contact, score: Math.round(score * 1000) / 1000 });
+  }
+  results.sort((a, b) => b.score - a.score ||
+    foldText(a.contact.displayName).localeCompare(foldText(b.contact.displayName)));
+  return results.slice(0, limit);
+}
+
+export default { searchContacts, foldText };
@@ -0,0 +1,116 @@
+/**
+ * BlueBubbles ContactResponse mapping shared by the contact routes, socket events and the uploaded address book.
+ * Accepts daemon contacts (phones/emails as strings or objects, camelCase or snake_case) and parsed vCards.
+ */
+import crypto from 'crypto';
+import { normalizeAddress } from './addresses.js';
+
+export const shouldIncludeAvatar = (extraProps) => {
+  const lower = extraProps.map(v => v.toLowerCase());
+  return (
+    lower.includes('avatar') ||
+    lower.includes('contactimage') ||
+    lower.includes('contactthumbnailimage')
+  );
+};
+
+/** Drop entries without an address and repeats of the same number/email in another format. */
+const dedupeByAddress = (items) => {
+  const seen = new Set();
+  return items.filter(item => {
+    if (!item.address) return false;
+    const key = normalizeAddress(item.address);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+};
+
+const extractEmails = (contact) => {
+  const raw = []
+    .concat(contact.emails || [])
+    .concat(contact.emailAddresses || [])
+    .concat(contact.addresses || []);
+  const normalized = raw
+    .map(value => {
+      const address =
+        typeof value === 'string'
+          ? value
+          : value?.address || value?.value || value?.email || null;
+      return { address: address ? String(address) : null, id: value?.id || value?.identifier || null };
+    })
+    .filter(entry => entry.address && entry.address.includes('@'));
+
+  return dedupeByAddress(normalized);
+};
+
+const extractPhoneNumbers = (contact) => {
+  const raw = []
+    .concat(contact.phones || [])
+    .concat(contact.phoneNumbers || [])
+    .concat(contact.addresses || []);
+  const normalized = raw
+    .map(value => {
+      const address =
+        typeof value === 'string'
+          ? value
+          : value?.address || value?.value || value?.phone || value?.number || null;
+      return { address: address ? String(address) : null, id: value?.id || value?.identifier || null };
+    })
+    .filter(entry => entry.address && !entry.address.includes('@'));
+
+  return dedupeByAddress(normalized);
+};
+
+/**
+ * Avatar reference carried in every row so clients can fetch images from GET /api/v1/contact/:id/avatar
+ * instead of syncing inline base64. avatarHash is the SHA-1 of the full-size image when known
+ * (same value as that endpoint's ETag without size params); avatarUrl is null when the contact has no image.
+ */
+const toAvatarRef = (contact) => {
+  if ('avatarUrl' in contact) return { avatarUrl: contact.avatarUrl, avatarHash: contact.avatarHash ?? null };
+  const flag = contact.hasAvatar ?? contact.has_avatar ?? contact.imageAvailable ?? contact.image_available;
+  const data = typeof contact.avatar === 'string' && contact.avatar ? contact.avatar : null;
+  const avatarHash = contact.avatarHash ?? contact.avatar_hash ??
+    (data ? crypto.createHash('sha1').update(Buffer.from(data, 'base64')).digest('hex') : null);
+  const hasAvatar = flag != null ? Boolean(flag) : (data || avatarHash ? true : null);
+  return {
+    avatarUrl: contact.id != null && hasAvatar !== false ? `/api/v1/contact/${encodeURIComponent(contact.id)}/avatar` : null,
+    avatarHash
+  };
+};
+
+export const mapContact = (contact, includeAvatar) => {
+  const phoneNumbers = extractPhoneNumbers(contact);
+  const emails = extractEmails(contact);
+  const firstName = contact.firstName ?? contact.first_name ?? null;
+  const lastName = contact.lastName ?? contact.last_name ?? null;
+
+  const displayName =
+    (contact.displayName ?? contact.display_name) ||
+    [firstName, lastName]
+      .filter(Boolean)
+      .join(' ')
+      .trim() ||
+    phoneNumbers[0]?.address ||
+    'Unknown';
+
+  return {
+    phoneNumbers,
+    emails,
+    firstName,
+    lastName,
+    displayName,
+    nickname: contact.nickname ?? null,
+    birthday: contact.birthday ?? null,
+    avatar: includeAvatar ? (contact.avatar ?? '') : '',
+    ...toAvatarRef(contact),
+    sourceType: contact.sourceType ?? 'api',
+    id: contact.id
+  };
+};
+
+export const mapContacts = (contacts, extraProps) => {
+  const includeAvatar = shouldIncludeAvatar(extraProps);
+  return contacts.map(contact => mapContact(contact, includeAvatar));
+};
@@ -0,0 +1,38 @@
+/**
+ * iMessage send effects (expressiveSendStyleId).
+ * Clients send the full Apple identifier (official server); short names like "slam" or "invisible ink" are accepted too.
+ */
+
+/** Short effect name -> Apple expressiveSendStyleId. */
+export const MESSAGE_EFFECTS = {
+  slam: 'com.apple.MobileSMS.expressivesend.impact',
+  loud: 'com.apple.MobileSMS.expressivesend.loud',
+  gentle: 'com.apple.MobileSMS.expressivesend.gentle',
+  invisibleink: 'com.apple.MobileSMS.expressivesend.invisibleink',
+  echo: 'com.apple.messages.effect.CKEchoEffect',
+  spotlight: 'com.apple.messages.effect.CKSpotlightEffect',
+  balloons: 'com.apple.messages.effect.CKHappyBirthdayEffect',
+  confetti: 'com.apple.messages.effect.CKConfettiEffect',
+  love: 'com.apple.messages.effect.CKHeartEffect',
+  lasers: 'com.apple.messages.effect.CKLasersEffect',
+  fireworks: 'com.apple.messages.effect.CKFireworksEffect',
+  celebration: 'com.apple.messages.effect.CKSparklesEffect',
+  shootingstar: 'com.apple.messages.effect.CKShootingStarEffect'
+};
+
+export const ALL_EFFECT_IDS = Object.values(MESSAGE_EFFECTS);
+
+/**
+ * Resolve a client effect value to its expressiveSendStyleId. Returns null when unknown.
+ * @param {string} effect - Full identifier or short name (case/spacing-insensitive)
+ * @returns {string|null}
+ */
+export function normalizeEffectId(effect) {
+  if (effect == null) return null;
+  const value = String(effect).trim();
+  const byId = ALL_EFFECT_IDS.find(id => id.toLowerCase() === value.toLowerCase());
+  if (byId) return byId;
+  const key = value.toLowerCase().replace(/[\s_-]+/g, '');
+  // Own keys only: "constructor" and friends must not resolve to Object.prototype members
+  return Object.hasOwn(MESSAGE_EFFECTS, key) ? MESSAGE_EFFECTS[key] : null;
+}
@@ -0,0 +1,43 @@
+/**
+ * ETag helpers for binary responses (chat icons, contact avatars, thumbnails).
+ */
+import crypto from 'crypto';
+
+/**
+ * Strong ETag for response bytes.
+ * @param {Buffer} data
+ * @returns {string} Quoted ETag
+ */
+export const etagFor = (data) => `"${crypto.createHash('sha1').update(data).digest('hex')}"`;
+
+/**
+ * Whether an If-None-Match header matches the ETag (handles lists, W/ prefixes and "*").
+ * @param {string} [header] - If-None-Match request header
+ * @param {string} etag - Current ETag
+ * @returns {boolean}
+ */
+export const etagMatches = (header, etag) => {
+  if (!header) return false;
+  return String(header).split(',').map(v => v.trim().replace(/^W\//, '')).some(v => v === '*' || v === etag);
+};
+
+/**
+ * Send bytes with ETag + Cache-Control, answering 304 when the client already has them.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Buffer} data - Body
+ * @param {Object} [opts]
+ * @param {string} [opts.contentType] - Defaults to application/octet-stream
+ * @param {string} [opts.etag] - Precomputed ETag (computed from data otherwise)
+ */
+export function sendCachedBytes(req, res, data, opts = {}) {
+  const etag = opts.etag || etagFor(data);
+  res.setHeader('ETag', etag);
+  res.setHeader('Cache-Control', 'private, no-cache');
+  if (etagMatches(req.headers['if-none-match'], etag)) {
+    return res.status(304).end();
+  }
+  res.setHeader('Content-Type', opts.contentType || 'application/octet-stream');
+  res.setHeader('Content-Length', data.length);
+  res.status(200).end(data);
+}
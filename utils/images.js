@@ -0,0 +1,274 @@
+/**
+ * In-process image helpers (pure JS, no native modules): type detection, JPEG/PNG decoding to RGBA,
+ * EXIF orientation, resizing, encoding and blurhash. Used for attachment blurhashes and resized variants.
+ */
+import jpeg from 'jpeg-js';
+import pngjs from 'pngjs';
+import { encode as encodeBlurhash } from 'blurhash';
+
+const { PNG } = pngjs;
+
+/** Decoding limits so a huge attachment can't exhaust memory. */
+const MAX_DECODE_MEGAPIXELS = 50;
+const MAX_DECODE_MEMORY_MB = 256;
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+/**
+ * Image MIME type from magic bytes, or null when the bytes aren't a known image format.
+ * @param {Buffer} data
+ * @returns {string|null}
+ */
+export function detectImageType(data) {
+  if (!data || data.length < 12) return null;
+  if (data[0] === 0xff && data[1] === 0xd8 && data[2] === 0xff) return 'image/jpeg';
+  if (data.subarray(0, 8).equals(PNG_SIGNATURE)) return 'image/png';
+  if (data.subarray(0, 4).toString('latin1') === 'GIF8') return 'image/gif';
+  if (data.subarray(0, 4).toString('latin1') === 'RIFF' && data.subarray(8, 12).toString('latin1') === 'WEBP') return 'image/webp';
+  if (data.subarray(4, 8).toString('latin1') === 'ftyp') {
+    const brand = data.subarray(8, 12).toString('latin1');
+    if (['heic', 'heix', 'hevc', 'heim', 'heis', 'mif1', 'msf1'].includes(brand)) return 'image/heic';
+    if (brand === 'avif') return 'image/avif';
+  }
+  if (data.subarray(0, 2).toString('latin1') === 'BM') return 'image/bmp';
+  if (['II*\0', 'MM\0*'].includes(data.subarray(0, 4).toString('latin1'))) return 'image/tiff';
+  return null;
+}
+
+/** Whether decodeImage() can handle this MIME type. */
+export const canDecode = (mimeType) => mimeType === 'image/jpeg' || mimeType === 'image/png';
+
+/**
+ * EXIF orientation (1-8) of a JPEG, 1 when absent.
+ * @param {Buffer} data - JPEG bytes
+ * @returns {number}
+ */
+export function readJpegOrientation(data) {
+  let offset = 2;
+  while (offset + 4 <= data.length && data[offset] === 0xff) {
+    const marker = data[offset + 1];
+    const length = data.readUInt16BE(offset + 2);
+    if (marker === 0xe1 && data.subarray(offset + 4, offset + 10).toString('latin1') === 'Exif\0\0') {
+      const tiff = offset + 10;
+      const little = data.subarray(tiff, tiff + 2).toString('latin1') === 'II';
+      const u16 = (o) => (little ? data.readUInt16LE(o) : data.readUInt16BE(o));
+      const u32 = (o) => (little ? data.readUInt32LE(o) : data.readUInt32BE(o));
+      const ifd = tiff + u32(tiff + 4);
+      if (ifd + 2 > data.length) return 1;
+      const entries = u16(ifd);
+      for (let i = 0; i < entries; i++) {
+        const entry = ifd + 2 + i * 12;
+        if (entry + 12 > data.length) break;
+        if (u16(entry) === 0x0112) {
+          const value = u16(entry + 8);
+          return value >= 1 && value <= 8 ? value : 1;
+        }
+      }
+      return 1;
+    }
+    if (marker === 0xda) break; // start of scan: no more metadata
+    offset += 2 + length;
+  }
+  return 1;
+}
+
+/**
+ * Decode JPEG or PNG bytes to RGBA. JPEGs are returned upright (EXIF orientation applied).
+ * @param {Buffer} data
+ * @returns {{ width: number, height: number, data: Uint8Array }}
+ * @throws {Error} For other formats or images over the decode limits
+ */
+export function decodeImage(data) {
+  const type = detectImageType(data);
+  if (type === 'image/jpeg') {
+    const image = jpeg.decode(data, {
+      useTArray: true,
+      formatAsRGBA: true,
+      maxResolutionInMP: MAX_DECODE_MEGAPIXELS,
+      maxMemoryUsageInMB: MAX_DECODE_MEMORY_MB
+    });
+    return applyOrientation({ width: image.width, height: image.height, data: image.data }, readJpegOrientation(data));
+  }
+  if (type === 'image/png') {
+    // Check the IHDR dimensions first: pngjs allocates width x height x 4 bytes before it decodes anything.
+    if (data.length < 24) throw new Error('Truncated PNG');
+    if (data.readUInt32BE(16) * data.readUInt32BE(20) > MAX_DECODE_MEGAPIXELS * 1e6) {
+      throw new Error(`Image exceeds ${MAX_DECODE_MEGAPIXELS} megapixels`);
+    }
+    const image = PNG.sync.read(data);
+    return { width: image.width, height: image.height, data: new Uint8Array(image.data.buffer, image.data.byteOffset, image.data.length) };
+  }
+  throw new Error(`Cannot decode ${type || 'unknown'} images`);
+}
+
+/**
+ * Rotate/flip RGBA pixels for an EXIF orientation so the result is upright.
+ * @param {{ width: number, height: number, data: Uint8Array }} image
+ * @param {number} orientation - EXIF orientation 1-8
+ */
+export function applyOrientation(image, orientation) {
+  if (!orientation || orientation === 1) return image;
+  const { width: w, height: h, data } = image;
+  const swap = orientation >= 5;
+  const outW = swap ? h : w;
+  const outH = swap ? w : h;
+  const out = new Uint8Array(outW * outH * 4);
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      let nx;
+      let ny;
+      switch (orientation) {
+        case 2: nx = w - 1 - x; ny = y; break;
+        case 3: nx = w - 1 - x; ny = h - 1 - y; break;
+        case 4: nx = x; ny = h - 1 - y; break;
+        case 5: nx = y; ny = x; break;
+        case 6: nx = h - 1 - y; ny = x; break;
+        case 7: nx = h - 1 - y; ny = w - 1 - x; break;
+        case 8: nx = y; ny = w - 1 - x; break;
+        default: nx = x; ny = y;
+      }
+      const src = (y * w + x) * 4;
+      const dst = (ny * outW + nx) * 4;
+      out[dst] = data[src];
+      out[dst + 1] = data[src + 1];
+      out[dst + 2] = data[src + 2];
+      out[dst + 3] = data[src + 3];
+    }
+  }
+  return { width: outW, height: outH, data: out };
+}
+
+/**
+ * Largest size with the image's aspect ratio that fits inside maxWidth x maxHeight (never upscales).
+ * Either bound may be null.
+ * @returns {{ width: number, height: number }}
+ */
+export function fitInside(width, height, maxWidth, maxHeight) {
+  const scale = Math.min(1, maxWidth ? maxWidth / width : Infinity, maxHeight ? maxHeight / height : Infinity);
+  if (!Number.isFinite(scale)) return { width, height };
+  return { width: Math.max(1, Math.round(width * scale)), height: Math.max(1, Math.round(height * scale)) };
+}
+
+/**
+ * Resize RGBA pixels. 'area' averages every source pixel under each target pixel (good for downscaling);
+ * 'nearest' samples one pixel (fastest).
+ * @param {{ width: number, height: number, data: Uint8Array }} image
+ * @param {number} width - Target width
+ * @param {number} height - Target height
+ * @param {'area'|'nearest'} [method]
+ */
+export function resizeImage(image, width, height, method = 'area') {
+  if (image.width === width && image.height === height) return image;
+  const { width: sw, height: sh, data } = image;
+  const out = new Uint8Array(width * height * 4);
+  const sx = sw / width;
+  const sy = sh / height;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const dst = (y * width + x) * 4;
+      if (method === 'nearest' || (sx <= 1 && sy <= 1)) {
+        const src = (Math.min(sh - 1, Math.floor((y + 0.5) * sy)) * sw + Math.min(sw - 1, Math.floor((x + 0.5) * sx))) * 4;
+        out[dst] = data[src];
+        out[dst + 1] = data[src + 1];
+        out[dst + 2] = data[src + 2];
+        out[dst + 3] = data[src + 3];
+        continue;
+      }
+      const x0 = Math.floor(x * sx);
+      const x1 = Math.max(x0 + 1, Math.min(sw, Math.floor((x + 1) * sx)));
+      const y0 = Math.floor(y * sy);
+      const y1 = Math.max(y0 + 1, Math.min(sh, Math.floor((y + 1) * sy)));
+      let r = 0;
+      let g = 0;
+      let b = 0;
+      let a = 0;
+      for (let yy = y0; yy < y1; yy++) {
+        for (let xx = x0; xx < x1; xx++) {
+          const src = (yy * sw + xx) * 4;
+          r += data[src];
+          g += data[src + 1];
+          b += data[src + 2];
+          a += data[src + 3];
+        }
+      }
+      const n = (x1 - x0) * (y1 - y0);
+      out[dst] = r / n;
+      out[dst + 1] = g / n;
+      out[dst + 2] = b / n;
+      out[dst + 3] = a / n;
+    }
+  }
+  return { width, height, data: out };
+}
+
+/** JPEG quality for the official API's quality param. */
+export const JPEG_QUALITY = { good: 60, better: 75, best: 90 };
+
+/**
+ * Encode RGBA pixels as JPEG or PNG.
+ * @param {{ width: number, height: number, data: Uint8Array }} image
+ * @param {'image/jpeg'|'image/png'} mimeType
+ * @param {Object} [opts]
+ * @param {number} [opts.quality] - JPEG quality 1-100 (default 75)
+ * @returns {Buffer}
+ */
+export function encodeImage(image, mimeType, opts = {}) {
+  const pixels = Buffer.from(image.data.buffer, image.data.byteOffset, image.data.length);
+  if (mimeType === 'image/png') {
+    const png = new PNG({ width: image.width, height: image.height });
+    pixels.copy(png.data);
+    return PNG.sync.write(png);
+  }
+  if (mimeType === 'image/jpeg') {
+    return jpeg.encode({ width: image.width, height: image.height, data: pixels }, opts.quality ?? 75).data;
+  }
+  throw new Error(`Cannot encode ${mimeType} images`);
+}
+
+/**
+ * Downscale JPEG or PNG bytes to fit inside maxWidth x maxHeight (upright, aspect ratio kept, never upscaled),
+ * re-encoded in the same format.
+ * @param {Buffer} data - JPEG or PNG bytes
+ * @param {Object} opts
+ * @param {number|null} opts.width - Max width
+ * @param {number|null} opts.height - Max height
+ * @param {'good'|'better'|'best'} [opts.quality] - JPEG quality preset
+ * @returns {{ data: Buffer, width: number, height: number }}
+ */
+export function downscaleImage(data, opts) {
+  const type = detectImageType(data);
+  const image = decodeImage(data);
+  const size = fitInside(image.width, image.height, opts.width, opts.height);
+  const resized = resizeImage(image, size.width, size.height, 'area');
+  return { data: encodeImage(resized, type, { quality: JPEG_QUALITY[opts.quality] }), width: size.width, height: size.height };
+}
+
+/** Blurhash quality presets (official server's good/better/best): sampling size, resize method and components. */
+const BLURHASH_QUALITY = {
+  good: { maxSide: 32, method: 'nearest', components: 3 },
+  better: { maxSide: 64, method: 'area', components: 4 },
+  best: { maxSide: 128, method: 'area', components: 5 }
+};
+export const BLURHASH_QUALITIES = Object.keys(BLURHASH_QUALITY);
+
+/**
+ * Blurhash of an image. width/height bound the size the image is sampled at (the hash itself is
+ * resolution-independent); without them the quality preset decides.
+ * @param {Buffer} data - JPEG or PNG bytes
+ * @param {Object} [opts]
+ * @param {number} [opts.width]
+ * @param {number} [opts.height]
+ * @param {'good'|'better'|'best'} [opts.quality] - Default 'good'
+ * @returns {string}
+ */
+export function computeBlurhash(data, opts = {}) {
+  const preset = BLURHASH_QUALITY[opts.quality] || BLURHASH_QUALITY.good;
+  const image = decodeImage(data);
+  const size = fitInside(image.width, image.height, opts.width || preset.maxSide, opts.height || preset.maxSide);
+  const small = resizeImage(image, size.width, size.height, preset.method);
+  // More components along the longer side keeps the hash's detail proportional to the image
+  const landscape = small.width >= small.height;
+  const componentX = landscape ? preset.components : Math.max(3, preset.components - 1);
+  const componentY = landscape ? Math.max(3, preset.components - 1) : preset.components;
+  return encodeBlurhash(new Uint8ClampedArray(small.data.buffer, small.data.byteOffset, small.data.length), small.width, small.height, componentX, componentY);
+}
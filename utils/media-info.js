@@ -0,0 +1,229 @@
+/**
+ * Attachment type and media metadata from file bytes (magic numbers and container headers; nothing is decoded).
+ * Works on a file's leading bytes: image sizes live in the header, video durations need the `moov`
+ * box, which is only found when it comes before the media data (or the whole file is given).
+ */
+import { detectImageType, readJpegOrientation } from './images.js';
+
+/** Apple UTIs for the MIME types the bridge recognizes (official AttachmentResponse.uti). */
+const UTI_BY_MIME = {
+  'image/jpeg': 'public.jpeg',
+  'image/png': 'public.png',
+  'image/gif': 'com.compuserve.gif',
+  'image/heic': 'public.heic',
+  'image/avif': 'public.avif',
+  'image/webp': 'org.webmproject.webp',
+  'image/tiff': 'public.tiff',
+  'image/bmp': 'com.microsoft.bmp',
+  'video/quicktime': 'com.apple.quicktime-movie',
+  'video/mp4': 'public.mpeg-4',
+  'video/3gpp': 'public.3gpp',
+  'audio/mp4': 'com.apple.m4a-audio',
+  'audio/x-caf': 'com.apple.coreaudio-format',
+  'audio/mpeg': 'public.mp3',
+  'audio/wav': 'com.microsoft.waveform-audio',
+  'audio/amr': 'org.3gpp.adaptive-multi-rate-audio',
+  'application/pdf': 'com.adobe.pdf',
+  'application/zip': 'public.zip-archive',
+  'text/vcard': 'public.vcard'
+};
+
+/**
+ * UTI for a MIME type, or null when unknown.
+ * @param {string} mimeType
+ * @returns {string|null}
+ */
+export const utiForMimeType = (mimeType) => UTI_BY_MIME[String(mimeType || '').toLowerCase()] ?? null;
+
+/**
+ * MIME type from magic bytes, or null when unrecognized.
+ * @param {Buffer} data - Leading bytes of the file (a few KB is enough)
+ * @returns {string|null}
+ */
+export function sniffMimeType(data) {
+  if (!data || data.length < 4) return null;
+  const image = detectImageType(data);
+  if (image) return image;
+  const ascii = (start, end) => data.subarray(start, end).toString('latin1');
+  if (ascii(4, 8) === 'ftyp') {
+    const brand = ascii(8, 12);
+    if (brand === 'qt  ') return 'video/quicktime';
+    if (brand === 'M4A ' || brand === 'M4B ') return 'audio/mp4';
+    if (brand.startsWith('3g')) return 'video/3gpp';
+    return 'video/mp4';
+  }
+  if (ascii(0, 5) === '%PDF-') return 'application/pdf';
+  if (ascii(0, 4) === 'PK\u0003\u0004') return 'application/zip';
+  if (ascii(0, 4) === 'caff') return 'audio/x-caf';
+  if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WAVE') return 'audio/wav';
+  if (ascii(0, 5) === '#!AMR') return 'audio/amr';
+  if (ascii(0, 3) === 'ID3' || (data[0] === 0xff && (data[1] & 0xe0) === 0xe0)) return 'audio/mpeg';
+  if (/^\uFEFF?BEGIN:VCARD/i.test(data.subarray(0, 32).toString('utf8'))) return 'text/vcard';
+  return null;
+}
+
+/** Width/height from a JPEG's start-of-frame marker. */
+function jpegSize(data) {
+  let offset = 2;
+  while (offset + 9 < data.length) {
+    if (data[offset] !== 0xff) return null;
+    const marker = data[offset + 1];
+    if (marker === 0xff) {
+      offset += 1;
+      continue;
+    }
+    if (marker === 0xd8 || marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7)) {
+      offset += 2;
+      continue;
+    }
+    const isFrame = marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker);
+    if (isFrame) return { width: data.readUInt16BE(offset + 7), height: data.readUInt16BE(offset + 5) };
+    offset += 2 + data.readUInt16BE(offset + 2);
+  }
+  return null;
+}
+
+function webpSize(data) {
+  const chunk = data.subarray(12, 16).toString('latin1');
+  if (chunk === 'VP8 ' && data.length >= 30) {
+    return { width: data.readUInt16LE(26) & 0x3fff, height: data.readUInt16LE(28) & 0x3fff };
+  }
+  if (chunk === 'VP8L' && data.length >= 25) {
+    const bits = data.readUInt32LE(21);
+    return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+  }
+  if (chunk === 'VP8X' && data.length >= 30) {
+    return { width: 1 + data.readUIntLE(24, 3), height: 1 + data.readUIntLE(27, 3) };
+  }
+  return null;
+}
+
+/** Largest `ispe` (image spatial extent) is the primary image; smaller ones are thumbnails. irot gives rotation. */
+function heifInfo(data) {
+  let best = null;
+  for (let i = data.indexOf('ispe', 0, 'latin1'); i >= 4 && i + 16 <= data.length; i = data.indexOf('ispe', i + 4, 'latin1')) {
+    const width = data.readUInt32BE(i + 8);
+    const height = data.readUInt32BE(i + 12);
+    if (!best || width * height > best.width * best.height) best = { width, height };
+  }
+  const irot = data.indexOf('irot', 0, 'latin1');
+  // irot angle is counter-clockwise quarter turns; map to the equivalent EXIF orientation
+  const orientation = irot >= 4 && irot + 4 < data.length ? [1, 8, 3, 6][data[irot + 4] & 3] : 1;
+  return best ? { ...best, orientation } : null;
+}
+
+/** ISO base media file (MP4/MOV/HEIF) boxes between start and end. */
+function* boxes(data, start, end) {
+  let offset = start;
+  while (offset + 8 <= end) {
+    let size = data.readUInt32BE(offset);
+    let header = 8;
+    if (size === 1) {
+      if (offset + 16 > end) return;
+      size = Number(data.readBigUInt64BE(offset + 8));
+      header = 16;
+    } else if (size === 0) {
+      size = end - offset;
+    }
+    if (size < header) return;
+    yield { type: data.subarray(offset + 4, offset + 8).toString('latin1'), start: offset + header, end: Math.min(offset + size, end) };
+    offset += size;
+  }
+}
+
+const findBox = (data, parent, type) => {
+  for (const box of boxes(data, parent.start, parent.end)) if (box.type === type) return box;
+  return null;
+};
+
+/** Rotation from a tkhd transform matrix (16.16 fixed point a, b), as an EXIF orientation. */
+function matrixOrientation(a, b) {
+  if (a === 0 && b === 0x10000) return 6;
+  if (a === -0x10000 && b === 0) return 3;
+  if (a === 0 && b === -0x10000) return 8;
+  return 1;
+}
+
+/**
+ * Duration from mvhd; size and rotation from the first video track's tkhd.
+ * @param {Buffer} data - MP4/MOV bytes containing a top-level moov box (or just the moov box)
+ * @returns {{ duration?: number, width?: number, height?: number, orientation?: number }|null} null without moov
+ */
+export function readMovieInfo(data) {
+  const moov = findBox(data, { start: 0, end: data.length }, 'moov');
+  if (!moov) return null;
+  const info = {};
+  const mvhd = findBox(data, moov, 'mvhd');
+  if (mvhd && mvhd.end - mvhd.start >= 32) {
+    const v1 = data[mvhd.start] === 1;
+    const timescale = data.readUInt32BE(mvhd.start + (v1 ? 20 : 12));
+    const duration = v1 ? Number(data.readBigUInt64BE(mvhd.start + 24)) : data.readUInt32BE(mvhd.start + 16);
+    if (timescale > 0) info.duration = Math.round((duration / timescale) * 1000) / 1000;
+  }
+  for (const trak of boxes(data, moov.start, moov.end)) {
+    if (trak.type !== 'trak') continue;
+    const mdia = findBox(data, trak, 'mdia');
+    const hdlr = mdia && findBox(data, mdia, 'hdlr');
+    if (!hdlr || data.subarray(hdlr.start + 8, hdlr.start + 12).toString('latin1') !== 'vide') continue;
+    const tkhd = findBox(data, trak, 'tkhd');
+    if (!tkhd) break;
+    const shift = data[tkhd.start] === 1 ? 12 : 0;
+    if (tkhd.start + shift + 84 > tkhd.end) break;
+    info.width = Math.round(data.readUInt32BE(tkhd.start + shift + 76) / 0x10000);
+    info.height = Math.round(data.readUInt32BE(tkhd.start + shift + 80) / 0x10000);
+    info.orientation = matrixOrientation(data.readInt32BE(tkhd.start + shift + 40), data.readInt32BE(tkhd.start + shift + 44));
+    break;
+  }
+  return info;
+}
+
+/**
+ * Type and media metadata of a file.
+ * @param {Buffer} data - The file, or its leading bytes
+ * @returns {{ mimeType: string|null, uti: string|null, width?: number, height?: number,
+ *   orientation?: number, duration?: number }} duration in seconds; orientation as EXIF 1-8
+ */
+export function probeMedia(data) {
+  const mimeType = sniffMimeType(data);
+  const result = { mimeType, uti: utiForMimeType(mimeType) };
+  let details = null;
+  try {
+    switch (mimeType) {
+      case 'image/jpeg':
+        details = { ...jpegSize(data), orientation: readJpegOrientation(data) };
+        break;
+      case 'image/png':
+        details = data.length >= 24 ? { width: data.readUInt32BE(16), height: data.readUInt32BE(20) } : null;
+        break;
+      case 'image/gif':
+        details = { width: data.readUInt16LE(6), height: data.readUInt16LE(8) };
+        break;
+      case 'image/webp':
+        details = webpSize(data);
+        break;
+      case 'image/bmp':
+        details = data.length >= 26 ? { width: data.readInt32LE(18), height: Math.abs(data.readInt32LE(22)) } : null;
+        break;
+      case 'image/heic':
+      case 'image/avif':
+        details = heifInfo(data);
+        break;
+      case 'video/quicktime':
+      case 'video/mp4':
+      case 'video/3gpp':
+      case 'audio/mp4':
+        details = readMovieInfo(data);
+        break;
+      default:
+        break;
+    }
+  } catch (_) {
+    // Truncated or malformed headers: keep the type without details
+  }
+  for (const [key, value] of Object.entries(details || {})) {
+    if (Number.isFinite(value) && value > 0) result[key] = value;
+  }
+  return result;
+}
+
+export default { sniffMimeType, utiForMimeType, probeMedia, readMovieInfo };
@@ -0,0 +1,164 @@
+/**
+ * POST /api/v1/message/query body parsing and bridge-side filtering.
+ * Official clients send TypeORM-style where clauses ({ statement, args }); only the
+ * message fields the bridge can evaluate on daemon messages are accepted.
+ */
+import { toClientTimestamp } from './dates.js';
+
+/** Where-clause columns the bridge understands, mapped to filter keys. */
+const WHERE_COLUMNS = {
+  'message.text': 'text',
+  'message.is_from_me': 'isFromMe',
+  'message.cache_has_attachments': 'hasAttachments',
+  'message.date_created': 'dateCreated',
+  'message.date': 'dateCreated',
+  'chat.guid': 'chatGuid'
+};
+
+const WHERE_PATTERN = /^\s*([\w.]+)\s*(=|==|!=|<>|>=|<=|>|<|NOT\s+LIKE|LIKE)\s*(:\w+|'[^']*'|"[^"]*"|[\w.-]+)\s*$/i;
+
+/** Accept Unix ms or Apple ns (same heuristic as the socket handlers). */
+function toUnixMs(value) {
+  if (value == null || value === '') return null;
+  const n = Number(value);
+  if (!Number.isFinite(n)) return null;
+  return n > 1e15 ? toClientTimestamp(n) : Math.trunc(n);
+}
+
+function toBool(value) {
+  if (value === true || value === 1 || value === '1' || value === 'true') return true;
+  if (value === false || value === 0 || value === '0' || value === 'false') return false;
+  return null;
+}
+
+/** SQLite LIKE (% and _ wildcards, case-insensitive) as a RegExp. */
+function likeToRegExp(pattern) {
+  const source = String(pattern)
+    .split('')
+    .map(ch => (ch === '%' ? '.*' : ch === '_' ? '.' : ch.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')))
+    .join('');
+  return new RegExp(`^${source}$`, 'is');
+}
+
+function resolveArg(token, args) {
+  if (token.startsWith(':')) return args?.[token.slice(1)];
+  if (/^['"]/.test(token)) return token.slice(1, -1);
+  return token;
+}
+
+/**
+ * Parse one where clause into filters. Returns an error string when unsupported.
+ */
+function applyWhereClause(filters, clause) {
+  const statement = clause?.statement;
+  if (typeof statement !== 'string') return 'Where clause is missing a statement';
+  const match = statement.match(WHERE_PATTERN);
+  const key = match ? WHERE_COLUMNS[match[1].toLowerCase()] : null;
+  if (!key) return `Unsupported where clause: ${statement}`;
+
+  const op = match[2].toUpperCase().replace(/\s+/g, ' ');
+  const value = resolveArg(match[3], clause.args);
+  if (value === undefined) return `Missing argument for where clause: ${statement}`;
+
+  if (key === 'text') {
+    if (op === 'LIKE' || op === 'NOT LIKE') {
+      filters.text.push({ pattern: likeToRegExp(value), negate: op === 'NOT LIKE' });
+      return null;
+    }
+    if (op === '=' || op === '==' || op === '!=' || op === '<>') {
+      filters.text.push({ equals: String(value), negate: op === '!=' || op === '<>' });
+      return null;
+    }
+    return `Unsupported operator for message.text: ${op}`;
+  }
+
+  if (key === 'isFromMe' || key === 'hasAttachments') {
+    const bool = toBool(value);
+    if (bool == null || !['=', '==', '!=', '<>'].includes(op)) return `Unsupported where clause: ${statement}`;
+    filters[key] = op === '!=' || op === '<>' ? !bool : bool;
+    return null;
+  }
+
+  if (key === 'chatGuid') {
+    if (op !== '=' && op !== '==') return `Unsupported operator for chat.guid: ${op}`;
+    filters.chatGuid = String(value);
+    return null;
+  }
+
+  // dateCreated
+  const ms = toUnixMs(value);
+  if (ms == null) return `Invalid date in where clause: ${statement}`;
+  if (op === '>' || op === '>=') filters.after = Math.max(filters.after ?? -Infinity, op === '>' ? ms + 1 : ms);
+  else if (op === '<' || op === '<=') filters.before = Math.min(filters.before ?? Infinity, op === '<' ? ms : ms + 1);
+  else return `Unsupported operator for message.date_created: ${op}`;
+  return null;
+}
+
+/**
+ * Parse the official query body.
+ * @param {Object} body - { chatGuid?, with?, where?, sort?, before?, after?, offset?, limit? }
+ * @returns {{ query?: Object, error?: string }} query.filters has chatGuid, after (inclusive), before (exclusive), isFromMe, hasAttachments, text.
+ */
+export function parseMessageQuery(body = {}) {
+  const filters = {
+    chatGuid: body.chatGuid ? String(body.chatGuid) : null,
+    after: toUnixMs(body.after),
+    before: toUnixMs(body.before),
+    isFromMe: null,
+    hasAttachments: null,
+    text: []
+  };
+
+  const where = body.where == null ? [] : body.where;
+  if (!Array.isArray(where)) return { error: 'where must be an array of { statement, args }' };
+  for (const clause of where) {
+    const error = applyWhereClause(filters, clause);
+    if (error) return { error };
+  }
+
+  const sortRaw = body.sort != null ? String(body.sort).toUpperCase() : 'DESC';
+  if (sortRaw !== 'ASC' && sortRaw !== 'DESC') return { error: 'sort must be ASC or DESC' };
+
+  const offsetRaw = parseInt(body.offset, 10);
+  const limitRaw = parseInt(body.limit, 10);
+  const withList = (Array.isArray(body.with) ? body.with : String(body.with ?? '').split(','))
+    .map(w => String(w).trim().toLowerCase())
+    .filter(Boolean);
+
+  return {
+    query: {
+      filters,
+      with: withList,
+      sort: sortRaw,
+      offset: Number.isFinite(offsetRaw) && offsetRaw > 0 ? offsetRaw : 0,
+      limit: Math.min(Math.max(Number.isFinite(limitRaw) ? limitRaw : 100, 1), 1000)
+    }
+  };
+}
+
+/**
+ * True if a daemon message satisfies every filter (applied bridge-side for anything the daemon did not filter).
+ * @param {Object} msg - Daemon message
+ * @param {Object} filters - From parseMessageQuery
+ */
+export function matchesMessageQuery(msg, filters) {
+  if (filters.chatGuid && msg.chatGuid && msg.chatGuid !== filters.chatGuid) return false;
+
+  const date = toClientTimestamp(msg.dateCreated) ?? 0;
+  if (filters.after != null && date < filters.after) return false;
+  if (filters.before != null && date >= filters.before) return false;
+
+  if (filters.isFromMe != null && Boolean(msg.isFromMe) !== filters.isFromMe) return false;
+
+  if (filters.hasAttachments != null) {
+    const has = Array.isArray(msg.attachments) ? msg.attachments.length > 0 : Boolean(msg.hasAttachments);
+    if (has !== filters.hasAttachments) return false;
+  }
+
+  const text = msg.text ?? '';
+  for (const cond of filters.text) {
+    const hit = cond.pattern ? cond.pattern.test(text) : text === cond.equals;
+    if (hit === cond.negate) return false;
+  }
+  return true;
+}
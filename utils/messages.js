@@ -5,6 +5,17 @@
 import { toClientTimestamp } from './dates.js';
 import { normalizeAttachments } from './attachments.js';
 
+/**
+ * chat.db stores thread_originator_part as a string ("0:0:12"). Like the official server it is passed through
+ * unchanged (clients parse the leading part index themselves); a bare part index is stringified.
+ * @param {string|number|null|undefined} value
+ * @returns {string|null}
+ */
+export function toThreadOriginatorPart(value) {
+  if (value == null || value === '') return null;
+  return String(value);
+}
+
 /**
  * Normalize a daemon/server message into BlueBubbles MessageResponse.
  * @param {Object} msg
@@ -36,10 +47,13 @@ export function toMessageResponse(msg, chatGuid, chats = null, opts = {}) {
     chats: chats || undefined,
     attachments: normalizeAttachments(msg?.attachments || []),
     subject: msg?.subject ?? '',
+    expressiveSendStyleId: msg?.expressiveSendStyleId ?? msg?.expressive_send_style_id ?? null,
     error: msg?.error != null ? Number(msg.error) : 0,
     dateCreated: toClientTimestamp(msg?.dateCreated) ?? Date.now(),
     dateRead: toClientTimestamp(msg?.dateRead) ?? null,
     dateDelivered: toClientTimestamp(msg?.dateDelivered) ?? null,
+    dateEdited: toClientTimestamp(msg?.dateEdited) ?? null,
+    dateRetracted: toClientTimestamp(msg?.dateRetracted) ?? null,
     isFromMe: msg?.isFromMe || false,
     isArchived: msg?.isArchived || false,
     itemType: msg?.itemType ?? 0,
@@ -48,9 +62,51 @@ export function toMessageResponse(msg, chatGuid, chats = null, opts = {}) {
     balloonBundleId: msg?.balloonBundleId ?? null,
     associatedMessageGuid: msg?.associatedMessageGuid || null,
     associatedMessageType: msg?.associatedMessageType || null,
+    threadOriginatorGuid: msg?.threadOriginatorGuid ?? msg?.thread_originator_guid ?? null,
+    threadOriginatorPart: toThreadOriginatorPart(msg?.threadOriginatorPart ?? msg?.thread_originator_part),
     chatGuid: chatGuid || msg?.chatGuid || null
   };
 
   if (!output.tempGuid) delete output.tempGuid;
   return output;
 }
+
+/** chat.db item_type values for group events (official server emits these as messages). */
+export const GROUP_ITEM_TYPES = {
+  PARTICIPANT_CHANGE: 1,
+  NAME_CHANGE: 2
+};
+
+/** chat.db group_action_type values for participant changes. */
+export const GROUP_ACTION_TYPES = {
+  ADDED: 0,
+  REMOVED: 1
+};
+
+/**
+ * Build the MessageResponse broadcast for a group rename or participant change
+ * (group-name-change, participant-added, participant-removed).
+ * @param {string} chatGuid
+ * @param {Object} action
+ * @param {number} action.itemType - GROUP_ITEM_TYPES value
+ * @param {number} [action.groupActionType] - GROUP_ACTION_TYPES value (participant changes)
+ * @param {string} [action.groupTitle] - New name (renames)
+ * @param {string} [action.address] - Participant address (participant changes)
+ * @param {Object} [action.message] - Message returned by the daemon, if any
+ * @param {Array|null} chats
+ */
+export function toGroupActionResponse(chatGuid, action, chats = null) {
+  const msg = action?.message || {};
+  return toMessageResponse(
+    {
+      ...msg,
+      isFromMe: msg.isFromMe ?? true,
+      itemType: msg.itemType ?? action.itemType,
+      groupActionType: msg.groupActionType ?? action.groupActionType ?? 0,
+      groupTitle: msg.groupTitle ?? action.groupTitle ?? null,
+      handle: msg.handle ?? (action.address ? { address: action.address } : null)
+    },
+    chatGuid,
+    chats
+  );
+}
@@ -0,0 +1,24 @@
+/**
+ * BlueBubbles-compatible tapback (reaction) helpers.
+ * Matches official server reaction names; a leading "-" removes the reaction.
+ */
+
+export const REACTION_TYPES = ['love', 'like', 'dislike', 'laugh', 'emphasize', 'question'];
+
+/** All accepted reaction values: the six tapbacks plus their removals ("-love", ...). */
+export const ALL_REACTION_TYPES = [
+  ...REACTION_TYPES,
+  ...REACTION_TYPES.map(r => `-${r}`)
+];
+
+/**
+ * Normalize a client reaction value (trim + lowercase). Returns null when not a known tapback.
+ * @param {string} reaction
+ * @returns {string|null}
+ */
+export function normalizeReaction(reaction) {
+  if (reaction == null) return null;
+  const value = String(reaction).trim().toLowerCase();
+  return ALL_REACTION_TYPES.includes(value) ? value : null;
+}
+
@@ -0,0 +1,175 @@
+/**
+ * vCard (2.1 / 3.0 / 4.0) parser for uploaded address books.
+ * Handles folded lines, QUOTED-PRINTABLE (including soft line breaks), base64 and data: URI photos,
+ * multiple TEL/EMAIL and grouped properties ("item1.TEL"). Produces contacts in the raw shape
+ * mapContact() accepts: { id, firstName, lastName, displayName, nickname, birthday, phoneNumbers, emails, avatar, hasAvatar }.
+ */
+import crypto from 'crypto';
+
+/** Join folded lines (a line starting with space/tab continues the previous one) and QP soft line breaks. */
+function unfoldLines(text) {
+  const raw = String(text ?? '').replace(/^\uFEFF/, '').split(/\r\n|\r|\n/);
+  const lines = [];
+  for (const line of raw) {
+    const prev = lines.length ? lines[lines.length - 1] : null;
+    if (prev != null && /^[ \t]/.test(line)) {
+      lines[lines.length - 1] = prev + line.slice(1);
+    } else if (prev != null && /QUOTED-PRINTABLE/i.test(prev.split(':')[0]) && prev.endsWith('=')) {
+      lines[lines.length - 1] = prev.slice(0, -1) + line;
+    } else {
+      lines.push(line);
+    }
+  }
+  return lines.filter(line => line.trim() !== '');
+}
+
+/** Index of the ':' separating name/params from the value (ignores ':' inside quoted param values). */
+function valueSeparatorIndex(line) {
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (ch === '"') quoted = !quoted;
+    else if (ch === ':' && !quoted) return i;
+  }
+  return -1;
+}
+
+/**
+ * Parse one content line into { group, name, params, value }.
+ * params maps upper-case names to arrays of values; vCard 2.1 bare params (";HOME;VOICE") become TYPE values.
+ */
+function parseLine(line) {
+  const sep = valueSeparatorIndex(line);
+  if (sep < 0) return null;
+  const [nameWithGroup, ...rawParams] = line.slice(0, sep).split(';');
+  const dot = nameWithGroup.lastIndexOf('.');
+  const params = {};
+  for (const raw of rawParams) {
+    const eq = raw.indexOf('=');
+    const key = eq >= 0 ? raw.slice(0, eq).trim().toUpperCase() : 'TYPE';
+    const values = (eq >= 0 ? raw.slice(eq + 1) : raw)
+      .split(',')
+      .map(v => v.trim().replace(/^"|"$/g, ''))
+      .filter(Boolean);
+    // 2.1 writes encodings as bare params (";QUOTED-PRINTABLE", ";BASE64")
+    if (eq < 0 && /^(QUOTED-PRINTABLE|BASE64|B)$/i.test(raw.trim())) {
+      params.ENCODING = [raw.trim()];
+      continue;
+    }
+    params[key] = (params[key] || []).concat(values);
+  }
+  return {
+    group: dot >= 0 ? nameWithGroup.slice(0, dot).toLowerCase() : null,
+    name: (dot >= 0 ? nameWithGroup.slice(dot + 1) : nameWithGroup).trim().toUpperCase(),
+    params,
+    value: line.slice(sep + 1)
+  };
+}
+
+function decodeQuotedPrintable(value, charset = 'utf-8') {
+  const bytes = [];
+  for (let i = 0; i < value.length; i++) {
+    if (value[i] === '=' && /^[0-9A-Fa-f]{2}$/.test(value.slice(i + 1, i + 3))) {
+      bytes.push(parseInt(value.slice(i + 1, i + 3), 16));
+      i += 2;
+    } else {
+      bytes.push(...Buffer.from(value[i], 'utf8'));
+    }
+  }
+  const encoding = /^(iso-8859-1|latin1|windows-1252)$/i.test(charset) ? 'latin1' : 'utf8';
+  return Buffer.from(bytes).toString(encoding);
+}
+
+/** Undo vCard text escaping (\n, \, \; \\). */
+const unescapeText = (value) => value.replace(/\\([nN,;:\\])/g, (_, ch) => (ch === 'n' || ch === 'N' ? '\n' : ch));
+
+/** Split a structured value (N, ADR) on unescaped ';'. */
+const splitStructured = (value) => value.split(/(?<!\\);/).map(part => unescapeText(part).trim());
+
+/** Decoded text value of a property (handles QUOTED-PRINTABLE + CHARSET). */
+function textValue(prop, { structured = false } = {}) {
+  const encoding = (prop.params.ENCODING?.[0] || '').toUpperCase();
+  const value = encoding === 'QUOTED-PRINTABLE'
+    ? decodeQuotedPrintable(prop.value, prop.params.CHARSET?.[0])
+    : prop.value;
+  return structured ? splitStructured(value) : unescapeText(value).trim();
+}
+
+/** PHOTO as base64 (3.0 ENCODING=b, 2.1 BASE64, 4.0 data: URI). Remote URIs are ignored. */
+function photoValue(prop) {
+  const value = prop.value.trim();
+  const dataUri = /^data:[^;,]*(;[^,]*)?;base64,(.*)$/i.exec(value);
+  if (dataUri) return dataUri[2].replace(/\s+/g, '');
+  const encoding = (prop.params.ENCODING?.[0] || '').toUpperCase();
+  if (encoding === 'B' || encoding === 'BASE64') return value.replace(/\s+/g, '');
+  return null;
+}
+
+/** TEL/EMAIL value without a tel:/mailto: URI scheme. */
+const addressValue = (prop) => textValue(prop).replace(/^(tel|mailto):/i, '').trim();
+
+/** Build one contact from the properties between BEGIN:VCARD and END:VCARD. */
+function toContact(props) {
+  const first = (name) => props.find(p => p.name === name) || null;
+  const n = first('N') ? textValue(first('N'), { structured: true }) : [];
+  const [lastName = '', firstName = ''] = n;
+  const fn = first('FN') ? textValue(first('FN')) : '';
+  const org = first('ORG') ? textValue(first('ORG'), { structured: true }).filter(Boolean).join(' ') : '';
+  const nickname = first('NICKNAME') ? textValue(first('NICKNAME')).split(',')[0].trim() : '';
+  const birthday = first('BDAY') ? textValue(first('BDAY')) : '';
+  const uid = first('UID') ? textValue(first('UID')).replace(/^urn:uuid:/i, '') : '';
+  const photoProp = first('PHOTO');
+
+  const phoneNumbers = props.filter(p => p.name === 'TEL').map(addressValue).filter(Boolean);
+  const emails = props.filter(p => p.name === 'EMAIL').map(addressValue).filter(v => v.includes('@'));
+
+  const displayName = fn || [firstName, lastName].filter(Boolean).join(' ').trim() || org;
+  const id = uid || `vcf-${crypto.createHash('sha1')
+    .update([displayName, ...phoneNumbers, ...emails].join('|'))
+    .digest('hex')
+    .slice(0, 16)}`;
+
+  const avatar = photoProp ? (photoValue(photoProp) || '') : '';
+
+  return {
+    id,
+    firstName: firstName || null,
+    lastName: lastName || null,
+    displayName: displayName || null,
+    nickname: nickname || null,
+    birthday: birthday || null,
+    phoneNumbers,
+    emails,
+    avatar,
+    hasAvatar: Boolean(avatar),
+    sourceType: 'vcf'
+  };
+}
+
+/**
+ * Parse a vCard file into contacts. Cards without a name, phone number or email are skipped.
+ * @param {string} text - vCard file contents (one or more BEGIN:VCARD ... END:VCARD blocks)
+ * @returns {Array<Object>} Contacts for mapContact()
+ */
+export function parseVcard(text) {
+  const contacts = [];
+  let props = null;
+  for (const line of unfoldLines(text)) {
+    const prop = parseLine(line);
+    if (!prop) continue;
+    if (prop.name === 'BEGIN' && /^VCARD$/i.test(prop.value.trim())) {
+      props = [];
+    } else if (prop.name === 'END' && /^VCARD$/i.test(prop.value.trim())) {
+      if (props) {
+        const contact = toContact(props);
+        if (contact.displayName || contact.phoneNumbers.length || contact.emails.length) contacts.push(contact);
+      }
+      props = null;
+    } else if (props) {
+      props.push(prop);
+    }
+  }
+  return contacts;
+}
+
+export default { parseVcard };